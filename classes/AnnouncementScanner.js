@@ -0,0 +1,154 @@
+/**
+ * @notice Class for scanning historical Announcement logs for a recipient's payments
+ */
+const KeyPair = require("./KeyPair");
+const RpcAnnouncementSource = require("./RpcAnnouncementSource");
+const { checkAnnouncement } = require("../utils/Transaction");
+const { parseAnnouncementLog } = require("../utils/announcements");
+const { lookupStealthKeys } = require("../utils/keyDirectory");
+const { UnregisteredRecipientError } = require("../utils/errors");
+
+class AnnouncementScanner {
+  /**
+   * @notice Create AnnouncementScanner instance for one recipient
+   * @param provider ethers provider to read logs from
+   * @param {String} announcerAddress Address of the contract emitting Announcement events, if empty the
+   * announcer configured for the provider's network is used
+   * @param {String} viewingPrivateKey Recipient's viewing private key as hex string
+   * @param {Object} options Either spendingPublicKey or account (looked up in the registry) must be set.
+   * Optional keyDirectory to look the account up in instead of the registry, registry and registryAbi
+   * overriding the chain config, startBlock, chunkSize, minChunkSize, maxChunkSize, a checkpoint from a previous scan to
+   * resume from, and an onCheckpoint callback invoked after every scanned chunk
+   */
+  constructor(provider, announcerAddress, viewingPrivateKey, options = {}) {
+    if (!options.spendingPublicKey && !options.account) {
+      throw new Error("Either spendingPublicKey or account must be provided");
+    }
+
+    this.provider = provider;
+    this.viewingKeyPair = new KeyPair(viewingPrivateKey);
+    this.account = options.account;
+    this.keyDirectoryOptions = {
+      keyDirectory: options.keyDirectory,
+      registry: options.registry,
+      registryAbi: options.registryAbi,
+    };
+    this.spendingKeyPair = options.spendingPublicKey
+      ? new KeyPair(options.spendingPublicKey)
+      : undefined;
+
+    this.startBlock = options.startBlock || 0;
+    this.source = new RpcAnnouncementSource(provider, announcerAddress, {
+      startBlock: this.startBlock,
+      chunkSize: options.chunkSize,
+      minChunkSize: options.minChunkSize,
+      maxChunkSize: options.maxChunkSize,
+    });
+    this.onCheckpoint = options.onCheckpoint;
+    this.lastScannedBlock = options.checkpoint
+      ? options.checkpoint.lastScannedBlock
+      : undefined;
+  }
+
+  /**
+   * @notice Returns the checkpoint to persist and pass back in to resume scanning
+   */
+  get checkpoint() {
+    return { lastScannedBlock: this.lastScannedBlock };
+  }
+
+  /**
+   * @notice Scans a block range for announcements belonging to the recipient
+   * @dev The range is read through RpcAnnouncementSource in chunks sized to what the provider accepts.
+   * The checkpoint is only advanced once a chunk has been fully processed, so an interrupted scan can be
+   * resumed safely.
+   * @param {Object} range Optional fromBlock and toBlock. fromBlock defaults to the block after the
+   * checkpoint (or startBlock) and toBlock to the latest block
+   * @returns Matched payments and the checkpoint after the scan
+   */
+  async scan(range = {}) {
+    await this._getSpendingKeyPair();
+
+    const fromBlock =
+      range.fromBlock !== undefined
+        ? range.fromBlock
+        : this.lastScannedBlock !== undefined
+        ? this.lastScannedBlock + 1
+        : this.startBlock;
+
+    const payments = [];
+    const chunks = this.source.getAnnouncementChunks({
+      fromBlock,
+      toBlock: range.toBlock,
+    });
+    for await (const chunk of chunks) {
+      for (const log of chunk.logs) {
+        const payment = await this.checkLog(log);
+        if (payment) payments.push(payment);
+      }
+
+      this.lastScannedBlock = chunk.toBlock;
+      if (this.onCheckpoint) await this.onCheckpoint(this.checkpoint);
+    }
+
+    return { payments, checkpoint: this.checkpoint };
+  }
+
+  /**
+   * @notice Runs the ownership check on a single Announcement log
+   * @dev Malformed announcements (e.g. a pkx that is not on the curve) are not the recipient's and are skipped
+   * @param {Object} log Log as returned by provider.getLogs
+   * @returns The payment if it belongs to the recipient, otherwise undefined
+   */
+  async checkLog(log) {
+    const spendingKeyPair = await this._getSpendingKeyPair();
+
+    let announcement;
+    let result;
+    try {
+      announcement = parseAnnouncementLog(log);
+      result = await checkAnnouncement(
+        announcement,
+        this.viewingKeyPair,
+        spendingKeyPair
+      );
+    } catch (e) {
+      return undefined;
+    }
+    if (!result.isForUser) return undefined;
+
+    return {
+      ...announcement,
+      stealthAddress: result.stealthAddress,
+      randomNumber: result.randomNumber,
+      amountOrId: announcement.amount.toString(),
+    };
+  }
+
+  /**
+   * @notice Returns the announcer address, resolving it from the network if none was given
+   */
+  async getAnnouncerAddress() {
+    return this.source.getAnnouncerAddress();
+  }
+
+  /**
+   * @notice Resolves the recipient's spending public key, reading the key directory only once
+   */
+  async _getSpendingKeyPair() {
+    if (this.spendingKeyPair) return this.spendingKeyPair;
+
+    const { spendingPublicKey } = await lookupStealthKeys(
+      this.account,
+      this.provider,
+      this.keyDirectoryOptions
+    );
+    if (!spendingPublicKey) {
+      throw new UnregisteredRecipientError(this.account);
+    }
+    this.spendingKeyPair = new KeyPair(spendingPublicKey);
+    return this.spendingKeyPair;
+  }
+}
+
+module.exports = AnnouncementScanner;
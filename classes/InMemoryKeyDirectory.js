@@ -0,0 +1,73 @@
+/**
+ * @notice Key directory kept in memory
+ * @dev Implements the same getStealthKeys / setStealthKeys interface as StealthKeyRegistry, so
+ * prepareSend, IsUsersFunds and the scanners can run without an RPC endpoint, e.g. in tests or for a
+ * private deployment that keeps its own directory
+ */
+const KeyPair = require("./KeyPair");
+const { isAddress } = require("ethers");
+const { lengths } = require("../utils/utils");
+const { InvalidArgumentError, InvalidKeyError } = require("../utils/errors");
+
+class InMemoryKeyDirectory {
+  /**
+   * @notice Create InMemoryKeyDirectory instance
+   * @param {Object} entries Optional initial keys, mapping account address to
+   * { spendingPublicKey, viewingPublicKey }
+   */
+  constructor(entries = {}) {
+    this._entries = new Map();
+    for (const [account, keys] of Object.entries(entries)) {
+      this._store(account, keys.spendingPublicKey, keys.viewingPublicKey);
+    }
+  }
+
+  /**
+   * @notice For a given account, returns the public keys
+   * @param account Address to get public keys for
+   * @returns Uncompressed public keys, empty strings if the account has no keys set
+   */
+  async getStealthKeys(account) {
+    const keys = this._entries.get(account.toLowerCase());
+    return keys ? { ...keys } : { spendingPublicKey: "", viewingPublicKey: "" };
+  }
+
+  /**
+   * @notice Sets or replaces the public keys of an account
+   * @param account Address to set public keys for
+   * @param spendingPublicKey The public key for generating a stealth address as hex string
+   * @param viewingPublicKey The public key to use for encryption as hex string
+   */
+  async setStealthKeys(account, spendingPublicKey, viewingPublicKey) {
+    this._store(account, spendingPublicKey, viewingPublicKey);
+  }
+
+  /**
+   * @notice Returns all entries as a plain object, keyed by lowercase account address
+   */
+  toJSON() {
+    return Object.fromEntries(this._entries);
+  }
+
+  /**
+   * @notice Validates and stores the keys of an account
+   */
+  _store(account, spendingPublicKey, viewingPublicKey) {
+    if (!isAddress(account))
+      throw new InvalidArgumentError(`Invalid account ${account}`);
+    for (const publicKey of [spendingPublicKey, viewingPublicKey]) {
+      if (!publicKey || publicKey.length !== lengths.publicKey) {
+        throw new InvalidKeyError(
+          "Public keys must be 0x04 prefixed uncompressed hex"
+        );
+      }
+      new KeyPair(publicKey).publicKeyPoint.assertValidity();
+    }
+    this._entries.set(account.toLowerCase(), {
+      spendingPublicKey,
+      viewingPublicKey,
+    });
+  }
+}
+
+module.exports = InMemoryKeyDirectory;
@@ -0,0 +1,87 @@
+/**
+ * @notice Announcement source reading a static JSON or NDJSON export
+ * @dev The file holds either a JSON array of announcements or one JSON announcement per line (NDJSON).
+ * Records use the field names accepted by normalizeAnnouncement. Reading a file is Node only, in the
+ * browser pass the parsed records instead
+ */
+const { normalizeAnnouncement } = require("../utils/announcements");
+
+/**
+ * @notice Parses JSON array or NDJSON text into records
+ */
+const parseExport = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith("[")) return JSON.parse(trimmed);
+
+  return trimmed.split(/\r?\n/).flatMap((line, i) => {
+    if (!line.trim()) return [];
+    try {
+      return [JSON.parse(line)];
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${i + 1}: ${e.message}`);
+    }
+  });
+};
+
+class JsonAnnouncementSource {
+  /**
+   * @notice Create JsonAnnouncementSource instance
+   * @param source Path of a .json or .ndjson file, or an array of announcement records
+   */
+  constructor(source) {
+    this.source = source;
+    this._loading = undefined;
+  }
+
+  /**
+   * @notice Returns the announcements in a block range
+   * @dev Records without a block number are only returned when no range is given
+   * @param {Object} range Optional fromBlock and toBlock
+   * @returns Normalized announcements in file order
+   */
+  async getAnnouncements(range = {}) {
+    const announcements = await this._load();
+    if (range.fromBlock === undefined && range.toBlock === undefined) {
+      return [...announcements];
+    }
+    return announcements.filter(
+      ({ blockNumber }) =>
+        blockNumber !== undefined &&
+        (range.fromBlock === undefined || blockNumber >= range.fromBlock) &&
+        (range.toBlock === undefined || blockNumber <= range.toBlock)
+    );
+  }
+
+  /**
+   * @notice Reads and normalizes the records once
+   */
+  _load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        let records = this.source;
+        if (!Array.isArray(records)) {
+          const { readFile } = require("fs/promises");
+          records = parseExport(await readFile(this.source, "utf8"));
+        }
+        if (!Array.isArray(records)) {
+          throw new Error("Announcement export must be an array or NDJSON");
+        }
+        return records.map((record, i) => {
+          try {
+            return normalizeAnnouncement(record);
+          } catch (e) {
+            throw new Error(`Invalid announcement ${i}: ${e.message}`);
+          }
+        });
+      })();
+      // Retry on the next call if the file could not be read or parsed
+      this._loading.catch(() => {
+        this._loading = undefined;
+      });
+    }
+    return this._loading;
+  }
+}
+
+module.exports = JsonAnnouncementSource;
@@ -0,0 +1,73 @@
+/**
+ * @notice Key directory persisted to a JSON file
+ * @dev Node only. The file maps lowercase account addresses to { spendingPublicKey, viewingPublicKey }
+ * and is read on first use and rewritten after every change. A missing file is treated as empty
+ */
+const InMemoryKeyDirectory = require("./InMemoryKeyDirectory");
+
+class JsonFileKeyDirectory extends InMemoryKeyDirectory {
+  /**
+   * @notice Create JsonFileKeyDirectory instance
+   * @param {String} path Path of the JSON file
+   */
+  constructor(path) {
+    super();
+    this.path = path;
+    this._loading = undefined;
+    this._writing = undefined;
+  }
+
+  /**
+   * @notice For a given account, returns the public keys
+   * @param account Address to get public keys for
+   * @returns Uncompressed public keys, empty strings if the account has no keys set
+   */
+  async getStealthKeys(account) {
+    await this._load();
+    return super.getStealthKeys(account);
+  }
+
+  /**
+   * @notice Sets or replaces the public keys of an account and writes the file
+   * @param account Address to set public keys for
+   * @param spendingPublicKey The public key for generating a stealth address as hex string
+   * @param viewingPublicKey The public key to use for encryption as hex string
+   */
+  async setStealthKeys(account, spendingPublicKey, viewingPublicKey) {
+    await this._load();
+    await super.setStealthKeys(account, spendingPublicKey, viewingPublicKey);
+
+    // Writes are queued, each one serializing the entries as they are when it runs
+    const { writeFile } = require("fs/promises");
+    this._writing = (this._writing || Promise.resolve())
+      .catch(() => {})
+      .then(() => writeFile(this.path, JSON.stringify(this.toJSON(), null, 2)));
+    await this._writing;
+  }
+
+  /**
+   * @notice Reads the file once
+   */
+  _load() {
+    if (!this._loading) {
+      const { readFile } = require("fs/promises");
+      this._loading = readFile(this.path, "utf8").then(
+        (json) => {
+          for (const [account, keys] of Object.entries(JSON.parse(json))) {
+            this._store(account, keys.spendingPublicKey, keys.viewingPublicKey);
+          }
+        },
+        (e) => {
+          if (e.code !== "ENOENT") throw e;
+        }
+      );
+      // Retry on the next call if the file could not be read or parsed
+      this._loading.catch(() => {
+        this._loading = undefined;
+      });
+    }
+    return this._loading;
+  }
+}
+
+module.exports = JsonFileKeyDirectory;
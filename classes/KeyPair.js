@@ -1,25 +1,63 @@
 /**
  * @notice Class for managing keys on secp256k1 curve
+ * @dev All curve math uses @noble/curves (the secp256k1 implementation ethers already ships) and
+ * native BigInt, so key math is synchronous and runs unchanged in Node, browsers and React Native
  */
-const EC = require("elliptic").ec;
-// const { Buffer } = require('buffer/'); // TODO make sure this works in browser and node
-const { keccak256 } = require("js-sha3");
+const { secp256k1 } = require("@noble/curves/secp256k1");
 const ethers = require("ethers");
 const {
   padHex,
   recoverPublicKeyFromTransaction,
   lengths,
 } = require("../utils/utils");
-async function loadApp() {
-  const { getSharedSecret, ProjectivePoint, utils, getPublicKey, etc } =
-    await import("@noble/secp256k1");
-  return { getSharedSecret, ProjectivePoint, utils, getPublicKey, etc };
-}
-const ec = new EC("secp256k1");
+const { encryptMemo, decryptMemo } = require("../utils/memo");
+const {
+  DecryptionError,
+  InvalidArgumentError,
+  InvalidKeyError,
+} = require("../utils/errors");
 
-const { zeroPadValue, isHexString, getAddress, sha256 } = require("ethers");
+const {
+  computeAddress,
+  hexlify,
+  isHexString,
+  keccak256,
+  sha256,
+} = require("ethers");
 const { BigNumber } = require("@ethersproject/bignumber");
-const crypto = require("crypto");
+
+const { ProjectivePoint, CURVE } = secp256k1;
+
+/**
+ * @notice Returns a BigInt as 32 byte hex string with 0x prefix
+ */
+const toHex32 = (value) => `0x${padHex(value.toString(16))}`;
+
+/**
+ * @notice Returns a RandomNumber or hex string as BigInt reduced to the order of the curve
+ */
+const toScalar = (value) => {
+  const number = isHexString(value) ? BigInt(value) : value.asBigInt;
+  return number % CURVE.n;
+};
+
+/**
+ * @notice Returns the ephemeral private key for encrypt as bytes, random unless injected through options
+ */
+const getEphemeralPrivateKey = (options) => {
+  if (!options.ephemeralPrivateKey && !options.randomSource) {
+    return secp256k1.utils.randomPrivateKey();
+  }
+  const privateKey = ethers.getBytes(
+    options.ephemeralPrivateKey || options.randomSource(32)
+  );
+  if (!secp256k1.utils.isValidPrivateKey(privateKey)) {
+    throw new InvalidKeyError(
+      "Ephemeral private key is not a valid secp256k1 private key"
+    );
+  }
+  return privateKey;
+};
 
 class KeyPair {
   /**
@@ -30,7 +68,7 @@ class KeyPair {
   constructor(key) {
     // Input checks
     if (!isHexString(key))
-      throw new Error("Key must be in hex format with 0x prefix");
+      throw new InvalidKeyError("Key must be in hex format with 0x prefix");
 
     // Handle input
     if (key.length === 66) {
@@ -38,30 +76,39 @@ class KeyPair {
       // Save off various forms of the private key
       this.privateKeyHex = key;
       this.privateKeyHexSlim = key.slice(2);
-      this.privateKeyEC = ec.keyFromPrivate(this.privateKeyHexSlim);
-      this.privateKeyBN = BigNumber.from(this.privateKeyHex);
 
       // Multiply curve's generator point by private key to get public key
-      const publicKey = ec.g.mul(this.privateKeyHexSlim);
+      const publicKey = secp256k1.getPublicKey(this.privateKeyHexSlim, false);
 
       // Save off public key as hex, other forms computed as getters
-      const publicKeyHexCoordsSlim = {
-        x: padHex(publicKey.getX().toString("hex")),
-        y: padHex(publicKey.getY().toString("hex")),
-      };
-      this.publicKeyHex = `0x04${publicKeyHexCoordsSlim.x}${publicKeyHexCoordsSlim.y}`;
+      this.publicKeyHex = hexlify(publicKey);
     } else if (key.length === 132) {
       // PUBLIC KEY
       // Save off public key as hex, other forms computed as getters
       this.publicKeyHex = key;
     } else {
-      throw new Error(
+      throw new InvalidKeyError(
         "Key must be a 66 character private key, a 132 character public key, or a transaction hash with isTxHash set to true"
       );
     }
   }
 
   // GETTERS =======================================================================================
+  /**
+   * @notice Returns the private key as a BigInt
+   */
+  get privateKeyBigInt() {
+    return this.privateKeyHex ? BigInt(this.privateKeyHex) : undefined;
+  }
+
+  /**
+   * @notice Returns the private key as a BigNumber
+   * @dev Kept for backwards compatibility, prefer privateKeyBigInt
+   */
+  get privateKeyBN() {
+    return this.privateKeyHex ? BigNumber.from(this.privateKeyHex) : undefined;
+  }
+
   /**
    * @notice Returns the x,y public key coordinates as hex with 0x prefix
    */
@@ -90,13 +137,10 @@ class KeyPair {
   }
 
   /**
-   * @notice Returns an elliptic instance generated from the public key
+   * @notice Returns the public key as a curve point
    */
-  get publicKeyEC() {
-    return ec.keyFromPublic({
-      x: this.publicKeyHexCoordsSlim.x,
-      y: this.publicKeyHexCoordsSlim.y,
-    });
+  get publicKeyPoint() {
+    return ProjectivePoint.fromHex(this.publicKeyHex.slice(2));
   }
 
   /**
@@ -117,10 +161,7 @@ class KeyPair {
    * @notice Returns checksum address derived from this key
    */
   get address() {
-    const hash = keccak256(Buffer.from(this.publicKeyHexSlim, "hex"));
-    const addressBuffer = Buffer.from(hash, "hex");
-    const address = `0x${addressBuffer.slice(-20).toString("hex")}`;
-    return getAddress(address);
+    return computeAddress(this.publicKeyHex);
   }
 
   /**
@@ -133,28 +174,24 @@ class KeyPair {
    * 03 prefix by using the compressed form of the hex shared secret and ignoring the prefix. Therefore if no prefix
    * is provided, we can assume 02, and it's up to the user to make sure they are using this method safely. This is
    * done because it saves gas in the Umbra contract
-   * @param pkx x-coordinate of compressed public key, as BigNumber or hex string
+   * @param pkx x-coordinate of compressed public key, as BigInt, BigNumber or hex string
    * @param prefix Prefix bit, must be 2 or 3
    */
 
   static getUncompressedFromX(pkx, prefix) {
-    pkx = BigNumber.from(pkx);
-
-    const hexWithoutPrefix = zeroPadValue(
-      BigNumber.from(pkx).toHexString(),
-      32
-    ).slice(2);
-
-    if (!prefix) {
-      const point = ec
-        .keyFromPublic(`02${hexWithoutPrefix}`, "hex")
-        .getPublic();
-      return `0x${point.encode("hex", false)}`;
+    try {
+      const hexWithoutPrefix = padHex(BigInt(pkx.toString()).toString(16));
+      const hexWithPrefix = `0${
+        prefix ? Number(prefix) : 2
+      }${hexWithoutPrefix}`;
+      const point = ProjectivePoint.fromHex(hexWithPrefix);
+      return `0x${point.toHex(false)}`;
+    } catch (e) {
+      throw new InvalidKeyError(
+        `Public key x-coordinate ${pkx} is not on the curve`,
+        { cause: e }
+      );
     }
-
-    const hexWithPrefix = `0${Number(prefix)}${hexWithoutPrefix}`;
-    const point = ec.keyFromPublic(hexWithPrefix, "hex").getPublic();
-    return `0x${point.encode("hex", false)}`;
   }
 
   /**
@@ -164,13 +201,10 @@ class KeyPair {
    */
 
   static compressPublicKey(uncompressedpublicKey) {
-    const publicKeyBuffer = Buffer.from(uncompressedpublicKey.slice(2), "hex");
-
-    // Decode the compressed public key
-    const publicKey = ec.keyFromPublic(publicKeyBuffer);
-
     // Get the compressed public key as a hexadecimal string
-    const compressedPublicKeyHex = publicKey.getPublic(true, "hex");
+    const compressedPublicKeyHex = ProjectivePoint.fromHex(
+      uncompressedpublicKey.slice(2)
+    ).toHex(true);
 
     return {
       prefix: Number(compressedPublicKeyHex[1]), // prefix bit is the 2th character in the string (no 0x prefix)
@@ -182,53 +216,115 @@ class KeyPair {
   /**
    * @notice Encrypt a random number with the instance's public key
    * @param {RandomNumber} number Random number as instance of RandomNumber class
-   * @returns {Object} Hex strings of uncompressed 65 byte public key and 32 byte ciphertext
+   * @param {String} memo Optional memo to encrypt with the same shared secret
+   * @param {Object} options Optional ephemeralPrivateKey (hex) to use instead of a random one, or randomSource,
+   * a function returning the given number of random bytes to draw it from. Only fix these for tests and
+   * test vectors, reusing an ephemeral key links payments. A memo cannot be combined with either: its key
+   * and zero IV come from the shared secret, so a repeated ephemeral key would reuse the keystream
+   * @returns {Object} Hex strings of compressed 33 byte ephemeral public key, 32 byte ciphertext, 1 byte view tag
+   * and, if a memo was given, the encrypted memo
    */
-  async encrypt(number) {
-    const { ProjectivePoint, utils, etc } = await loadApp();
+  async encrypt(number, memo, options = {}) {
+    if (
+      memo !== undefined &&
+      (options.ephemeralPrivateKey || options.randomSource)
+    ) {
+      throw new InvalidArgumentError(
+        "A memo can only be encrypted with a random ephemeral key"
+      );
+    }
 
     // Get shared secret to use as encryption key
-    const ephemeralPrivateKey = etc.hashToPrivateKey(
-      crypto.getRandomValues(new Uint8Array(32 + 16))
+    const ephemeralPrivateKey = getEphemeralPrivateKey(options);
+    const ephemeralPrivateKeyHex = hexlify(ephemeralPrivateKey);
+    const ephemeralPublicKeyHex = hexlify(
+      secp256k1.getPublicKey(ephemeralPrivateKey, true)
     );
 
-    const ephemeralPublicKey =
-      ProjectivePoint.fromPrivateKey(ephemeralPrivateKey);
-    const ephemeralPrivateKeyHex = `0x${etc.bytesToHex(ephemeralPrivateKey)}`;
-    const ephemeralPublicKeyHex = `0x${ephemeralPublicKey.toHex()}`;
-
-    const sharedSecret = await this.getSharedSecret(
+    const { sharedSecret, viewTag } = await this.getSharedSecrets(
       ephemeralPrivateKeyHex,
       this.publicKeyHex
     );
 
     // XOR random number with shared secret to get encrypted value
-    const ciphertextBN = BigNumber.from(number.value).xor(sharedSecret);
-
-    const ciphertext = zeroPadValue(ciphertextBN.toHexString(), 32); // 32 byte hex string with 0x prefix
-    return { ephemeralPublicKey: ephemeralPublicKeyHex, ciphertext };
+    const ciphertext = toHex32(number.asBigInt ^ BigInt(sharedSecret)); // 32 byte hex string with 0x prefix
+    const output = {
+      ephemeralPublicKey: ephemeralPublicKeyHex,
+      ciphertext,
+      viewTag,
+    };
+    if (memo !== undefined) output.memo = encryptMemo(sharedSecret, memo);
+    return output;
   }
 
   /**
    * @notice Decrypt a random number with the instance's private key and return the plaintext
-   * @param {String} output Output from the encrypt method
+   * @param {String} output Output from the encrypt method. May include the sharedSecret from
+   * getSharedSecrets, e.g. after checking the view tag, to skip a second ECDH
    */
   async decrypt(output) {
     const { ephemeralPublicKey, ciphertext } = output;
     if (!ephemeralPublicKey || !ciphertext) {
-      throw new Error("Input must be of type EncryptedPayload to decrypt");
+      throw new DecryptionError(
+        "Input must be of type EncryptedPayload to decrypt"
+      );
+    }
+    if (!isHexString(ciphertext) || ciphertext.length > lengths.privateKey) {
+      throw new DecryptionError("Ciphertext must be a 32 byte hex string");
     }
     if (!this.privateKeyHex) {
-      throw new Error("KeyPair has no associated private key to decrypt with");
+      throw new InvalidKeyError(
+        "KeyPair has no associated private key to decrypt with"
+      );
     }
 
     // Get shared secret to use as decryption key, then decrypt with XOR
+    const sharedSecret =
+      output.sharedSecret ||
+      (await this.getSharedSecret(this.privateKeyHex, ephemeralPublicKey));
+    return toHex32(BigInt(ciphertext) ^ BigInt(sharedSecret));
+  }
+
+  /**
+   * @notice Decrypt a memo with the instance's private key
+   * @param {String} ephemeralPublicKey Ephemeral public key the memo was encrypted with
+   * @param {String} encryptedMemo Encrypted memo as returned by encrypt
+   * @returns {String} Memo text
+   */
+  async decryptMemo(ephemeralPublicKey, encryptedMemo) {
+    if (!this.privateKeyHex) {
+      throw new InvalidKeyError(
+        "KeyPair has no associated private key to decrypt with"
+      );
+    }
     const sharedSecret = await this.getSharedSecret(
       this.privateKeyHex,
       ephemeralPublicKey
     );
-    const plaintext = BigNumber.from(ciphertext).xor(sharedSecret);
-    return zeroPadValue(plaintext.toHexString(), 32);
+    return decryptMemo(sharedSecret, encryptedMemo);
+  }
+
+  /**
+   * @notice Checks an announcement's view tag against the instance's private key
+   * @dev Only needs the ECDH, so announcements that are not for this key can be discarded before
+   * decrypting and deriving the stealth address. A match still has to be confirmed by the full check
+   * as 1 in 128 announcements pass, see viewTagMatchesPoint. To decrypt after a match without repeating
+   * the ECDH, use getSharedSecrets and pass its sharedSecret to decrypt, as checkAnnouncement does
+   * @param {String} ephemeralPublicKey Uncompressed ephemeral public key as hex string with 0x04 prefix
+   * @param {String, Number} viewTag View tag as 1 byte hex string with 0x prefix or number
+   * @returns {Boolean} False if the announcement is definitely not for this key
+   */
+  async matchesViewTag(ephemeralPublicKey, viewTag) {
+    if (!this.privateKeyHex) {
+      throw new InvalidKeyError(
+        "KeyPair has no associated private key to check view tag with"
+      );
+    }
+    const { sharedPoint } = await this.getSharedSecrets(
+      this.privateKeyHex,
+      ephemeralPublicKey
+    );
+    return KeyPair.viewTagMatchesPoint(sharedPoint, viewTag);
   }
 
   // ELLIPTIC CURVE MATH ===========================================================================
@@ -238,14 +334,10 @@ class KeyPair {
    * string with 0x prefix
    */
   mulPublicKey(value) {
-    // Perform multiplication
-    const number = isHexString(value) ? value.slice(2) : value.asHexSlim;
-    const publicKey = this.publicKeyEC.getPublic().mul(number);
-    // Get x,y hex strings
-    const x = padHex(publicKey.getX().toString("hex"));
-    const y = padHex(publicKey.getY().toString("hex"));
+    // Perform multiplication. Reducing by the curve order first doesn't change the resulting point
+    const publicKey = this.publicKeyPoint.multiply(toScalar(value));
     // Instantiate and return new instance
-    return new KeyPair(`0x04${x}${y}`);
+    return new KeyPair(`0x${publicKey.toHex(false)}`);
   }
 
   /**
@@ -254,44 +346,92 @@ class KeyPair {
    * string with 0x prefix
    */
   mulPrivateKey(value) {
-    // Get new private key. This gives us an arbitrarily large number that is not
-    // necessarily in the domain of the secp256k1 elliptic curve
-    const number = isHexString(value) ? value : value.asHex;
-    const privateKeyFull = this.privateKeyBN.mul(number);
-    // Modulo operation to get private key to be in correct range, where ec.n gives the
-    // order of our curve. We add the 0x prefix as it's required by ethers.js
-    const privateKeyMod = privateKeyFull.mod(`0x${ec.n.toString("hex")}`);
-    // Remove 0x prefix to pad hex value, then add back 0x prefix
-    const privateKey = `0x${padHex(privateKeyMod.toHexString().slice(2))}`;
-    // Instantiate and return new instance
-    return new KeyPair(privateKey);
+    // Modulo operation to get private key to be in correct range, where CURVE.n gives the
+    // order of our curve
+    const privateKey = (this.privateKeyBigInt * toScalar(value)) % CURVE.n;
+    // Pad to 32 bytes, then instantiate and return new instance
+    return new KeyPair(toHex32(privateKey));
   }
 
+  /**
+   * @notice Returns the shared secret the random number and memo are encrypted with
+   * @param {String} privateKey Private key as hex string with 0x prefix
+   * @param {String} publicKey Compressed or uncompressed public key as hex string with 0x prefix
+   */
   async getSharedSecret(privateKey, publicKey) {
-    if (privateKey.length !== lengths.privateKey || !isHexString(privateKey))
-      throw new Error("Invalid private key");
-    if (publicKey.length !== lengths.publicKey || !isHexString(publicKey))
-      throw new Error("Invalid public key");
+    const { sharedSecret } = await this.getSharedSecrets(privateKey, publicKey);
+    return sharedSecret;
+  }
 
-    const { getSharedSecret, etc } = await loadApp();
+  /**
+   * @notice Runs the ECDH once and returns both values derived from the shared point
+   * @param {String} privateKey Private key as hex string with 0x prefix
+   * @param {String} publicKey Compressed or uncompressed public key as hex string with 0x prefix
+   * @returns {Object} sharedSecret, the sha256 of the point's x-coordinate as in Umbra, the compressed
+   * sharedPoint and its EIP-5564 viewTag, see computeViewTag
+   */
+  async getSharedSecrets(privateKey, publicKey) {
+    if (privateKey.length !== lengths.privateKey || !isHexString(privateKey))
+      throw new InvalidKeyError("Invalid private key");
+    if (
+      (publicKey.length !== lengths.publicKey &&
+        publicKey.length !== lengths.compressedPublicKey) ||
+      !isHexString(publicKey)
+    )
+      throw new InvalidKeyError("Invalid public key");
 
     // We use sharedSecret.slice(2) to ensure the shared secret is not dependent on the prefix, which enables
     // us to uncompress ephemeralPublicKey from Umbra.sol logs as explained in comments of getUncompressedFromX.
     // Note that a shared secret is really just a point on the curve, so it's an uncompressed public key
-    const sharedSecret = getSharedSecret(
+    const sharedPoint = secp256k1.getSharedSecret(
       privateKey.slice(2),
       publicKey.slice(2),
       true
     );
-    const sharedSecretHex = etc.bytesToHex(sharedSecret); // Has 04 prefix but not 0x.
-    return sha256(`0x${sharedSecretHex.slice(2)}`); // TODO Update to use noble-hashes?
+    const sharedPointHex = hexlify(sharedPoint); // Has 0x02 or 0x03 prefix
+    return {
+      sharedSecret: sha256(`0x${sharedPointHex.slice(4)}`),
+      sharedPoint: sharedPointHex,
+      viewTag: KeyPair.computeViewTag(sharedPointHex),
+    };
   }
 
   // STATIC METHODS ================================================================================
+  /**
+   * @notice Derives the 1 byte view tag from the ECDH shared point
+   * @dev As in EIP-5564: the most significant byte of keccak256 of the compressed shared point. The
+   * encryption key is a different hash of the point, so the tag reveals nothing about the random number.
+   * Umbra's Announcement event has no field for the tag: it travels as the first byte of an ERC-5564
+   * announcement's metadata, or as the viewTag of a subgraph or JSON record, see normalizeAnnouncement
+   * @param {String} sharedPoint Compressed shared point (33 bytes) as hex string with 0x prefix
+   * @returns {String} View tag as 1 byte hex string with 0x prefix
+   */
+  static computeViewTag(sharedPoint) {
+    return keccak256(sharedPoint).slice(0, 4);
+  }
+
+  /**
+   * @notice Checks a view tag against an ECDH shared point of either parity
+   * @dev Umbra announcements only carry the x-coordinate of the ephemeral public key, so the shared point
+   * recomputed from them may be the negation of the sender's, which only differs in the prefix byte.
+   * The tags of both points are accepted, so 1 in 128 announcements that are not the user's pass
+   * @param {String} sharedPoint Compressed shared point as returned by getSharedSecrets
+   * @param {String, Number} viewTag View tag as 1 byte hex string with 0x prefix or number
+   * @returns {Boolean} False if the announcement is definitely not for this key
+   */
+  static viewTagMatchesPoint(sharedPoint, viewTag) {
+    const negated = `0x0${
+      sharedPoint[3] === "2" ? "3" : "2"
+    }${sharedPoint.slice(4)}`;
+    return [sharedPoint, negated].some(
+      (point) => Number(KeyPair.computeViewTag(point)) === Number(viewTag)
+    );
+  }
+
   /**
    * @notice Generate KeyPair instance asynchronously from a transaction hash
-   * @param {String} txHash Transaction hash to recover public key from
-   * @param {*} provider raw web3 provider to use (not an ethers instance)
+   * @param {String} txHash Transaction hash to recover public key from, of any transaction type
+   * @param {*} provider ethers provider, EIP-1193 provider or RPC URL
    */
   static async instanceFromTransaction(txHash, provider) {
     const publicKeyHex = await recoverPublicKeyFromTransaction(
@@ -5,20 +5,35 @@ const ethers = require("ethers");
 const { padHex } = require("../utils/utils");
 const { BigNumber } = require("@ethersproject/bignumber");
 
-const { randomBytes, getBytesCopy } = ethers;
+const { randomBytes, getBytesCopy, hexlify } = ethers;
 
 class RandomNumber {
   /**
    * @notice Generate a new random number
    * @param {Number} length Number of bytes random number should have
+   * @param {Function} randomSource Optional function returning length random bytes, as bytes or hex,
+   * defaults to ethers randomBytes. Inject a fixed source only for tests and test vectors
    */
-  constructor(length = 32) {
+  constructor(length = 32, randomSource = randomBytes) {
     this.length = length;
-    this.value = getBytesCopy(randomBytes(length));
+    this.value = getBytesCopy(randomSource(length));
+    if (this.value.length !== length) {
+      throw new Error(
+        `Random source returned ${this.value.length} bytes, expected ${length}`
+      );
+    }
+  }
+
+  /**
+   * @notice Get random number as a BigInt
+   */
+  get asBigInt() {
+    return BigInt(hexlify(this.value));
   }
 
   /**
    * @notice Get random number as a BigNumber
+   * @dev Kept for backwards compatibility, prefer asBigInt
    */
   get asBN() {
     return BigNumber.from(this.value);
@@ -28,7 +43,7 @@ class RandomNumber {
    * @notice Get random number as hex string
    */
   get asHex() {
-    return `0x${padHex(this.asBN.toHexString().slice(2), this.length)}`;
+    return `0x${padHex(this.asBigInt.toString(16), this.length)}`;
   }
 
   /**
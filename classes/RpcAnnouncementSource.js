@@ -0,0 +1,111 @@
+/**
+ * @notice Announcement source reading Announcement logs over RPC
+ * @dev Announcement sources share one interface, getAnnouncements({ fromBlock, toBlock }), returning
+ * announcements normalized to the shape IsUsersFunds and scanBatch expect. See also
+ * SubgraphAnnouncementSource and JsonAnnouncementSource
+ */
+const {
+  announcementTopic,
+  parseAnnouncementLog,
+  normalizeAnnouncement,
+} = require("../utils/announcements");
+const { resolveChainConfig } = require("../utils/chains");
+const { ConfigurationError, withProvider } = require("../utils/errors");
+const { getLogsInChunks } = require("../utils/logs");
+
+class RpcAnnouncementSource {
+  /**
+   * @notice Create RpcAnnouncementSource instance
+   * @param provider ethers provider to read logs from
+   * @param {String} announcerAddress Address of the contract emitting Announcement events, if empty the
+   * announcer configured for the provider's network is used
+   * @param {Object} options Optional startBlock, chunkSize, minChunkSize and maxChunkSize (blocks per
+   * getLogs request)
+   */
+  constructor(provider, announcerAddress, options = {}) {
+    this.provider = provider;
+    this.announcerAddress = announcerAddress;
+    this.startBlock = options.startBlock || 0;
+    this.chunkSize = options.chunkSize || 10000;
+    this.minChunkSize = options.minChunkSize || 100;
+    this.maxChunkSize = options.maxChunkSize || 100000;
+  }
+
+  /**
+   * @notice Returns the announcements in a block range
+   * @param {Object} range Optional fromBlock (defaults to startBlock) and toBlock (defaults to the latest block)
+   * @returns Normalized announcements in log order
+   */
+  async getAnnouncements(range = {}) {
+    const announcements = [];
+    for await (const chunk of this.getAnnouncementChunks(range)) {
+      announcements.push(...chunk.announcements);
+    }
+    return announcements;
+  }
+
+  /**
+   * @notice Returns the announcements in a block range one getLogs chunk at a time
+   * @dev The chunk size adapts to what the provider accepts, see getLogsInChunks, and carries over to
+   * the next call. Stop iterating early and nothing more is requested
+   * @param {Object} range Optional fromBlock (defaults to startBlock) and toBlock (defaults to the latest block)
+   * @returns Async iterator of { fromBlock, toBlock, logs, announcements } per chunk, logs being the raw
+   * Announcement logs and announcements the normalized ones. Logs that cannot be decoded are left out of
+   * announcements
+   */
+  async *getAnnouncementChunks(range = {}) {
+    const address = await this.getAnnouncerAddress();
+    const toBlock =
+      range.toBlock !== undefined
+        ? range.toBlock
+        : await withProvider("get the latest block", () =>
+            this.provider.getBlockNumber()
+          );
+
+    const chunks = getLogsInChunks(
+      this.provider,
+      { address, topics: [announcementTopic] },
+      {
+        fromBlock:
+          range.fromBlock !== undefined ? range.fromBlock : this.startBlock,
+        toBlock,
+        chunkSize: this.chunkSize,
+        minChunkSize: this.minChunkSize,
+        maxChunkSize: this.maxChunkSize,
+      }
+    );
+    for await (const { fromBlock, toBlock, logs, chunkSize } of chunks) {
+      this.chunkSize = chunkSize;
+      yield {
+        fromBlock,
+        toBlock,
+        logs,
+        announcements: logs.flatMap((log) => {
+          try {
+            return [normalizeAnnouncement(parseAnnouncementLog(log))];
+          } catch (e) {
+            return [];
+          }
+        }),
+      };
+    }
+  }
+
+  /**
+   * @notice Returns the announcer address, resolving it from the network if none was given
+   */
+  async getAnnouncerAddress() {
+    if (!this.announcerAddress) {
+      const { announcer } = await resolveChainConfig(this.provider);
+      if (!announcer) {
+        throw new ConfigurationError(
+          "No announcer configured for this network"
+        );
+      }
+      this.announcerAddress = announcer;
+    }
+    return this.announcerAddress;
+  }
+}
+
+module.exports = RpcAnnouncementSource;
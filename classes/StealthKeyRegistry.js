@@ -1,61 +1,223 @@
 const KeyPair = require("../classes/KeyPair");
-const { Contract } = require("ethers");
+const { Contract, Signature, verifyTypedData } = require("ethers");
+const { registryAbi, resolveChainConfig } = require("../utils/chains");
+const { resolveAccount } = require("../utils/ens");
+const { getLogsInChunks } = require("../utils/logs");
+const {
+  ConfigurationError,
+  InvalidArgumentError,
+  InvalidKeyError,
+  withProvider,
+} = require("../utils/errors");
 
-const stealthKeyRegistry = "0x31fe56609C65Cd0C510E7125f051D440424D38f3";
+const stealthKeysTypes = {
+  StealthKeys: [
+    { name: "spendingPubKeyPrefix", type: "uint256" },
+    { name: "spendingPubKey", type: "uint256" },
+    { name: "viewingPubKeyPrefix", type: "uint256" },
+    { name: "viewingPubKey", type: "uint256" },
+  ],
+};
 
-const abi = [
-  'event StealthKeyChanged(address indexed registrant, uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey)',
-  'function setStealthKeys(uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey)',
-  'function setStealthKeysOnBehalf(address registrant, uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey, uint8 v, bytes32 r, bytes32 s)',
-  'function stealthKeys(address registrant) view returns (uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey)',
-]; //prettier-ignore
+/**
+ * @notice Decompresses keys as stored in the registry, returns empty strings if no keys are set
+ */
+const decompressStealthKeys = (keys) => {
+  const {
+    spendingPubKeyPrefix,
+    spendingPubKey,
+    viewingPubKeyPrefix,
+    viewingPubKey,
+  } = keys;
+
+  // Return empty keys if no stealth keys are set
+  if (
+    spendingPubKeyPrefix == 0 ||
+    spendingPubKey == 0 ||
+    viewingPubKeyPrefix == 0 ||
+    viewingPubKey == 0
+  ) {
+    return { spendingPublicKey: "", viewingPublicKey: "" };
+  }
+
+  // Decompress keys and return them
+  const spendingPublicKey = KeyPair.getUncompressedFromX(
+    spendingPubKey,
+    Number(spendingPubKeyPrefix)
+  );
+  const viewingPublicKey = KeyPair.getUncompressedFromX(
+    viewingPubKey,
+    Number(viewingPubKeyPrefix)
+  );
+  return { spendingPublicKey, viewingPublicKey };
+};
 
 class StealthKeyRegistry {
   /**
    * @notice Create StealthKeyRegistry instance to interact with the registry
+   * @dev Without an address, the registry configured for the provider's network is used
    * @param signerOrProvider signer or provider to use
+   * @param {Object} options Optional registry address and abi overriding the chain config, fromBlock to
+   * start key history lookups at (defaults to the startBlock of the chain config, or 0), chunkSize and
+   * minChunkSize (blocks per getLogs request) and cache to keep key histories in memory between lookups
+   */
+  constructor(signerOrProvider, options = {}) {
+    this._signerOrProvider = signerOrProvider;
+    this._abi = options.abi || registryAbi;
+    this._fromBlock = options.fromBlock;
+    this._chunkSize = options.chunkSize;
+    this._minChunkSize = options.minChunkSize;
+    this._cache = options.cache ? new Map() : undefined;
+    if (options.address) {
+      this._registry = new Contract(
+        options.address,
+        this._abi,
+        signerOrProvider
+      );
+    }
+  }
+
+  /**
+   * @notice Returns the registry contract, resolving its address from the network on first use
    */
-  constructor(signerOrProvider) {
-    this._registry = new Contract(stealthKeyRegistry, abi, signerOrProvider);
+  async getContract() {
+    if (!this._registry) {
+      const { registry } = await resolveChainConfig(this._signerOrProvider);
+      if (!registry) {
+        throw new ConfigurationError(
+          "No stealth key registry configured for this network"
+        );
+      }
+      this._registry = new Contract(
+        registry,
+        this._abi,
+        this._signerOrProvider
+      );
+    }
+    return this._registry;
   }
 
   /**
    * @dev Checks if user has registered for stealth payments. If not they cannot proceed.
    * @notice For a given account, recovers and returns the public keys
-   * @param account Address to get public keys for
+   * @param account Address or ENS name to get public keys for
    */
   async getStealthKeys(account) {
     // Read stealth keys from the resolver contract
-    const keys = await this._registry.stealthKeys(account);
-    const {
-      spendingPubKeyPrefix,
-      spendingPubKey,
-      viewingPubKeyPrefix,
-      viewingPubKey,
-    } = keys;
-
-    // Throw if no stealth keys are set
-    if (
-      spendingPubKeyPrefix == 0 ||
-      spendingPubKey == 0 ||
-      viewingPubKeyPrefix == 0 ||
-      viewingPubKey == 0
-    ) {
-      return { spendingPublicKey: "", viewingPublicKey: "" };
-    }
+    const registry = await this.getContract();
+    const address = await this._resolveAccount(account);
+    const keys = await withProvider(`read stealth keys of ${address}`, () =>
+      registry.stealthKeys(address)
+    );
+    return decompressStealthKeys(keys);
+  }
+
+  /**
+   * @notice For a given account, returns every set of keys it has registered
+   * @dev Decoded from StealthKeyChanged events, oldest first. The logs are requested in chunks the
+   * provider accepts, see getLogsInChunks. With the cache option enabled only blocks after the previous
+   * lookup are queried
+   * @param account Address or ENS name to get the key history for
+   * @returns Array of uncompressed spending and viewing public keys with the block and transaction
+   * that set them
+   */
+  async getStealthKeyHistory(account) {
+    account = await this._resolveAccount(account);
+    const registry = await this.getContract();
+    const provider = this._signerOrProvider.provider || this._signerOrProvider;
+    const cacheKey = account.toLowerCase();
+    const cached = this._cache && this._cache.get(cacheKey);
 
-    // Decompress keys and return them
-    const spendingPublicKey = KeyPair.getUncompressedFromX(
-      spendingPubKey,
-      Number(spendingPubKeyPrefix)
+    const toBlock = await withProvider("get the block number", () =>
+      provider.getBlockNumber()
     );
-    const viewingPublicKey = KeyPair.getUncompressedFromX(
-      viewingPubKey,
-      Number(viewingPubKeyPrefix)
+    const fromBlock = cached
+      ? cached.toBlock + 1
+      : await this._getFromBlock(provider, await registry.getAddress());
+    const history = cached ? [...cached.history] : [];
+    const chunks = getLogsInChunks(
+      provider,
+      {
+        address: await registry.getAddress(),
+        topics: await registry.filters
+          .StealthKeyChanged(account)
+          .getTopicFilter(),
+      },
+      {
+        fromBlock,
+        toBlock,
+        chunkSize: this._chunkSize,
+        minChunkSize: this._minChunkSize,
+      }
+    );
+    for await (const { logs } of chunks) {
+      for (const log of logs) {
+        history.push({
+          ...decompressStealthKeys(registry.interface.parseLog(log).args),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+        });
+      }
+    }
+
+    if (this._cache) this._cache.set(cacheKey, { toBlock, history });
+    return history;
+  }
+
+  /**
+   * @notice For a given account, returns the public keys that were registered at a given block
+   * @dev Use this to find the keys an old announcement was made to after the user rotated their keys.
+   * Served from the cache without any RPC call when the block was covered by a previous lookup
+   * @param account Address or ENS name to get public keys for
+   * @param blockTag Block number, or "latest"
+   * @returns Uncompressed public keys, empty strings if the account had no keys registered at that block
+   */
+  async getStealthKeysAt(account, blockTag = "latest") {
+    account = await this._resolveAccount(account);
+    const cached = this._cache && this._cache.get(account.toLowerCase());
+    const history =
+      blockTag !== "latest" && cached && Number(blockTag) <= cached.toBlock
+        ? cached.history
+        : await this.getStealthKeyHistory(account);
+
+    const active = history.filter(
+      (entry) => blockTag === "latest" || entry.blockNumber <= Number(blockTag)
     );
+    if (!active.length) return { spendingPublicKey: "", viewingPublicKey: "" };
+
+    const { spendingPublicKey, viewingPublicKey } = active[active.length - 1];
     return { spendingPublicKey, viewingPublicKey };
   }
 
+  /**
+   * @notice Returns the block key history lookups start at, the chain config's startBlock by default
+   */
+  async _getFromBlock(provider, registry) {
+    if (this._fromBlock === undefined) {
+      const { startBlock } = await resolveChainConfig(provider, { registry });
+      this._fromBlock = startBlock || 0;
+    }
+    return this._fromBlock;
+  }
+
+  /**
+   * @notice Resolves an ENS name to an address using the instance's provider
+   */
+  async _resolveAccount(account) {
+    return resolveAccount(
+      account,
+      this._signerOrProvider.provider || this._signerOrProvider
+    );
+  }
+
+  /**
+   * @notice Forgets all cached key histories
+   */
+  clearCache() {
+    if (this._cache) this._cache.clear();
+  }
+
   /**
    * @notice Set stealth keys.
    * @dev Use this if your users have smart wallets.
@@ -85,7 +247,8 @@ class StealthKeyRegistry {
 
   async SetEOAStealthKeys(spendingPublicKey, viewingPublicKey, signer) {
     // Get instance of StealthKeyRegistry contract
-    const registry = signer ? this._registry.connect(signer) : this._registry;
+    const contract = await this.getContract();
+    const registry = signer ? contract.connect(signer) : contract;
 
     // Break public keys into the required components to store compressed public keys
     const { prefix: spendingPrefix, pubKeyXCoordinate: spendingPubKeyX } =
@@ -101,6 +264,137 @@ class StealthKeyRegistry {
       viewingPubKeyX
     );
   }
+
+  /**
+   * @notice Set stealth keys for an account, the key directory counterpart of getStealthKeys
+   * @dev The registry stores keys for the transaction sender, so the signer must be the account
+   * @param account Address to set public keys for
+   * @param spendingPublicKey The public key for generating a stealth address as hex string
+   * @param viewingPublicKey The public key to use for encryption as hex string
+   * @param signer Signer of the account, defaults to the instance's signer
+   * @returns Transaction
+   */
+  async setStealthKeys(account, spendingPublicKey, viewingPublicKey, signer) {
+    const sender = signer || this._signerOrProvider;
+    if (typeof sender.getAddress !== "function") {
+      throw new ConfigurationError("A signer is required to set stealth keys");
+    }
+    const senderAddress = await sender.getAddress();
+    if (senderAddress.toLowerCase() !== account.toLowerCase()) {
+      throw new InvalidArgumentError(
+        `Signer ${senderAddress} cannot set stealth keys for ${account}, use setStealthKeysOnBehalf`
+      );
+    }
+    return this.SetEOAStealthKeys(spendingPublicKey, viewingPublicKey, signer);
+  }
+
+  /**
+   * @notice Returns the EIP-712 typed data a registrant signs to let a relayer register their keys
+   * @dev Sign it with signer.signTypedData(domain, types, value) and pass the signature to
+   * setStealthKeysOnBehalf. The registry recovers the registrant from this signature
+   * @param spendingPublicKey The public key for generating a stealth address as hex string
+   * @param viewingPublicKey The public key to use for encryption as hex string
+   * @returns Object containing the domain, types and value to sign
+   */
+  async getStealthKeysTypedData(spendingPublicKey, viewingPublicKey) {
+    const contract = await this.getContract();
+    const provider = this._signerOrProvider.provider || this._signerOrProvider;
+    const { chainId } = await provider.getNetwork();
+
+    const { spendingPrefix, spendingPubKeyX, viewingPrefix, viewingPubKeyX } =
+      await this.setSmartStealthKeys(spendingPublicKey, viewingPublicKey);
+
+    return {
+      domain: {
+        name: "Umbra Stealth Key Registry",
+        version: "1",
+        chainId,
+        verifyingContract: await contract.getAddress(),
+      },
+      types: stealthKeysTypes,
+      value: {
+        spendingPubKeyPrefix: spendingPrefix,
+        spendingPubKey: spendingPubKeyX,
+        viewingPubKeyPrefix: viewingPrefix,
+        viewingPubKey: viewingPubKeyX,
+      },
+    };
+  }
+
+  /**
+   * @notice Checks locally that a registration signature was made by the registrant
+   * @param registrant Address of the account registering the keys
+   * @param spendingPublicKey The public key for generating a stealth address as hex string
+   * @param viewingPublicKey The public key to use for encryption as hex string
+   * @param signature Registrant's signature over getStealthKeysTypedData
+   * @returns True if the signature recovers to the registrant
+   */
+  async verifyStealthKeysSignature(
+    registrant,
+    spendingPublicKey,
+    viewingPublicKey,
+    signature
+  ) {
+    const { domain, types, value } = await this.getStealthKeysTypedData(
+      spendingPublicKey,
+      viewingPublicKey
+    );
+    try {
+      const recovered = verifyTypedData(domain, types, value, signature);
+      return recovered.toLowerCase() === registrant.toLowerCase();
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * @notice Set stealth keys on behalf of a registrant.
+   * @dev Use this as a relayer to sponsor the registration gas. The signature is verified locally
+   * first so an invalid one does not cost gas.
+   * @param registrant Address of the account registering the keys
+   * @param spendingPublicKey The public key for generating a stealth address as hex string
+   * @param viewingPublicKey The public key to use for encryption as hex string
+   * @param signature Registrant's signature over getStealthKeysTypedData
+   * @param signer Relayer paying for the transaction, defaults to the instance's signer
+   * @returns Transaction
+   */
+  async setStealthKeysOnBehalf(
+    registrant,
+    spendingPublicKey,
+    viewingPublicKey,
+    signature,
+    signer
+  ) {
+    const isValid = await this.verifyStealthKeysSignature(
+      registrant,
+      spendingPublicKey,
+      viewingPublicKey,
+      signature
+    );
+    if (!isValid) {
+      throw new InvalidKeyError(
+        `Signature was not made by registrant ${registrant}`
+      );
+    }
+
+    const contract = await this.getContract();
+    const registry = signer ? contract.connect(signer) : contract;
+
+    const { spendingPrefix, spendingPubKeyX, viewingPrefix, viewingPubKeyX } =
+      await this.setSmartStealthKeys(spendingPublicKey, viewingPublicKey);
+    const { v, r, s } = Signature.from(signature);
+
+    return registry.setStealthKeysOnBehalf(
+      registrant,
+      spendingPrefix,
+      spendingPubKeyX,
+      viewingPrefix,
+      viewingPubKeyX,
+      v,
+      r,
+      s
+    );
+  }
 }
 
 module.exports = StealthKeyRegistry;
@@ -0,0 +1,288 @@
+/**
+ * @notice Class for sending to and withdrawing from stealth addresses through an Umbra compatible contract
+ */
+const {
+  AbiCoder,
+  Contract,
+  Signature,
+  Wallet,
+  ZeroAddress,
+  getBytes,
+  keccak256,
+} = require("ethers");
+const { umbraAbi, resolveChainConfig } = require("../utils/chains");
+const { ConfigurationError, InvalidArgumentError } = require("../utils/errors");
+
+const erc20Abi = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+]; //prettier-ignore
+
+/**
+ * @notice Extracts the contract arguments from the output of prepareSend
+ */
+const parseSendDetails = (sendDetails) => {
+  const { stealthKeyPair, pubKeyXCoordinate, encrypted } = sendDetails;
+  if (!stealthKeyPair || !pubKeyXCoordinate || !encrypted) {
+    throw new InvalidArgumentError(
+      "Send details must be the output of prepareSend"
+    );
+  }
+  return {
+    receiver: stealthKeyPair.address,
+    pkx: pubKeyXCoordinate,
+    ciphertext: encrypted.ciphertext,
+  };
+};
+
+class StealthPaymentClient {
+  /**
+   * @notice Create StealthPaymentClient instance to interact with the payment contract
+   * @dev Without an address, the announcer configured for the provider's network is used. Pass the
+   * address of a local Anvil/Hardhat deployment to test against it
+   * @param signerOrProvider signer or provider to use
+   * @param {Object} options Optional contract address and abi overriding the chain config
+   */
+  constructor(signerOrProvider, options = {}) {
+    this._signerOrProvider = signerOrProvider;
+    this._abi = options.abi || umbraAbi;
+    if (options.address) {
+      this._contract = new Contract(
+        options.address,
+        this._abi,
+        signerOrProvider
+      );
+    }
+  }
+
+  /**
+   * @notice Returns the payment contract, resolving its address from the network on first use
+   */
+  async getContract() {
+    if (!this._contract) {
+      const { announcer } = await resolveChainConfig(this._signerOrProvider);
+      if (!announcer) {
+        throw new ConfigurationError(
+          "No payment contract configured for this network"
+        );
+      }
+      this._contract = new Contract(
+        announcer,
+        this._abi,
+        this._signerOrProvider
+      );
+    }
+    return this._contract;
+  }
+
+  /**
+   * @notice Returns the toll the contract charges on every send, in wei
+   */
+  async getToll() {
+    const contract = await this.getContract();
+    return contract.toll();
+  }
+
+  /**
+   * @notice Returns the amount of a token held by the contract for a stealth address
+   * @param stealthAddress Stealth address the tokens were sent to
+   * @param tokenAddress Address of the ERC-20 token
+   */
+  async getTokenBalance(stealthAddress, tokenAddress) {
+    const contract = await this.getContract();
+    return contract.tokenPayments(stealthAddress, tokenAddress);
+  }
+
+  /**
+   * @notice Sends ETH to a stealth address and announces it
+   * @param sendDetails Output of prepareSend
+   * @param amount Amount of ETH to send in wei, the toll is added on top
+   * @param signer Sender, defaults to the instance's signer
+   * @returns Transaction
+   */
+  async sendEth(sendDetails, amount, signer) {
+    const contract = await this._connect(signer);
+    const toll = await this.getToll();
+    const { receiver, pkx, ciphertext } = parseSendDetails(sendDetails);
+
+    return contract.sendEth(receiver, toll, pkx, ciphertext, {
+      value: BigInt(amount) + toll,
+    });
+  }
+
+  /**
+   * @notice Sends ERC-20 tokens to a stealth address and announces it
+   * @dev The tokens are held by the contract until the stealth address withdraws them. If the
+   * contract's allowance is too low, an approval is sent and awaited first
+   * @param sendDetails Output of prepareSend
+   * @param tokenAddress Address of the ERC-20 token
+   * @param amount Amount of tokens to send, in the token's smallest unit
+   * @param signer Sender, defaults to the instance's signer
+   * @returns Transaction
+   */
+  async sendToken(sendDetails, tokenAddress, amount, signer) {
+    const contract = await this._connect(signer);
+    const sender = contract.runner;
+    const spender = await contract.getAddress();
+    const toll = await this.getToll();
+    const { receiver, pkx, ciphertext } = parseSendDetails(sendDetails);
+
+    const token = new Contract(tokenAddress, erc20Abi, sender);
+    const allowance = await token.allowance(await sender.getAddress(), spender);
+    if (allowance < BigInt(amount)) {
+      const approval = await token.approve(spender, amount);
+      await approval.wait();
+    }
+
+    return contract.sendToken(receiver, tokenAddress, amount, pkx, ciphertext, {
+      value: toll,
+    });
+  }
+
+  /**
+   * @notice Withdraws tokens held by the contract for a stealth address, paying gas from the stealth address
+   * @param stealthPrivateKey Private key of the stealth address, see KeyPair.computeStealthPrivateKey
+   * @param tokenAddress Address of the ERC-20 token
+   * @param acceptor Address to receive the tokens
+   * @returns Transaction
+   */
+  async withdrawToken(stealthPrivateKey, tokenAddress, acceptor) {
+    const contract = await this._connect(
+      this._stealthWallet(stealthPrivateKey)
+    );
+    return contract.withdrawToken(acceptor, tokenAddress);
+  }
+
+  /**
+   * @notice Returns the digest a stealth address signs to let a sponsor withdraw on its behalf
+   * @dev Mirrors the contract: keccak256(abi.encode(chainId, contract, acceptor, token, sponsor, sponsorFee,
+   * hook, data)) with an empty hook and data, signed as an Ethereum signed message
+   * @param tokenAddress Address of the ERC-20 token
+   * @param acceptor Address to receive the tokens
+   * @param sponsor Address submitting the withdrawal and receiving the fee
+   * @param sponsorFee Amount of tokens paid to the sponsor
+   */
+  async getWithdrawalDigest(tokenAddress, acceptor, sponsor, sponsorFee) {
+    const contract = await this.getContract();
+    const provider = this._signerOrProvider.provider || this._signerOrProvider;
+    const { chainId } = await provider.getNetwork();
+
+    return keccak256(
+      AbiCoder.defaultAbiCoder().encode(
+        [
+          "uint256",
+          "address",
+          "address",
+          "address",
+          "address",
+          "uint256",
+          "address",
+          "bytes",
+        ],
+        [
+          chainId,
+          await contract.getAddress(),
+          acceptor,
+          tokenAddress,
+          sponsor,
+          sponsorFee,
+          ZeroAddress,
+          "0x",
+        ]
+      )
+    );
+  }
+
+  /**
+   * @notice Signs a meta-transaction letting a sponsor withdraw tokens on behalf of a stealth address
+   * @param stealthPrivateKey Private key of the stealth address, see KeyPair.computeStealthPrivateKey
+   * @param tokenAddress Address of the ERC-20 token
+   * @param acceptor Address to receive the tokens
+   * @param sponsor Address submitting the withdrawal and receiving the fee
+   * @param sponsorFee Amount of tokens paid to the sponsor
+   * @returns Object containing the full signature and its v, r and s components
+   */
+  async signWithdrawal(
+    stealthPrivateKey,
+    tokenAddress,
+    acceptor,
+    sponsor,
+    sponsorFee
+  ) {
+    const digest = await this.getWithdrawalDigest(
+      tokenAddress,
+      acceptor,
+      sponsor,
+      sponsorFee
+    );
+    const signature = await new Wallet(stealthPrivateKey).signMessage(
+      getBytes(digest)
+    );
+    const { v, r, s } = Signature.from(signature);
+    return { signature, v, r, s };
+  }
+
+  /**
+   * @notice Submits a withdrawal signed by a stealth address, paying the gas as sponsor
+   * @param stealthAddress Stealth address holding the tokens
+   * @param tokenAddress Address of the ERC-20 token
+   * @param acceptor Address to receive the tokens
+   * @param sponsor Address receiving the fee
+   * @param sponsorFee Amount of tokens paid to the sponsor
+   * @param signature Signature from signWithdrawal
+   * @param signer Sponsor, defaults to the instance's signer
+   * @returns Transaction
+   */
+  async withdrawTokenOnBehalf(
+    stealthAddress,
+    tokenAddress,
+    acceptor,
+    sponsor,
+    sponsorFee,
+    signature,
+    signer
+  ) {
+    const contract = await this._connect(signer);
+    const { v, r, s } = Signature.from(signature);
+    return contract.withdrawTokenOnBehalf(
+      stealthAddress,
+      acceptor,
+      tokenAddress,
+      sponsor,
+      sponsorFee,
+      v,
+      r,
+      s
+    );
+  }
+
+  /**
+   * @notice Returns the contract connected to the given signer, or the instance's signer
+   * @dev Throws ConfigurationError if neither is a signer, e.g. the instance was created with a provider
+   */
+  async _connect(signer) {
+    const contract = await this.getContract();
+    const connected = signer ? contract.connect(signer) : contract;
+    const runner = connected.runner;
+    if (
+      !runner ||
+      typeof runner.sendTransaction !== "function" ||
+      typeof runner.getAddress !== "function"
+    ) {
+      throw new ConfigurationError(
+        "A signer is required to send transactions, pass one to the method or the constructor"
+      );
+    }
+    return connected;
+  }
+
+  /**
+   * @notice Returns a wallet for a stealth private key connected to the instance's provider
+   */
+  _stealthWallet(stealthPrivateKey) {
+    const provider = this._signerOrProvider.provider || this._signerOrProvider;
+    return new Wallet(stealthPrivateKey, provider);
+  }
+}
+
+module.exports = StealthPaymentClient;
@@ -0,0 +1,190 @@
+/**
+ * @notice Class for watching new blocks for a recipient's stealth payments
+ */
+const { EventEmitter } = require("events");
+const AnnouncementScanner = require("./AnnouncementScanner");
+const { announcementTopic } = require("../utils/announcements");
+
+class StealthPaymentWatcher extends EventEmitter {
+  /**
+   * @notice Create StealthPaymentWatcher instance for one recipient
+   * @dev Emits `payment` when a matching announcement is seen, `confirmed` once it has the required
+   * number of confirmations, `reorg` with the retracted payments when blocks are replaced, and `error`
+   * when a block could not be processed. Always attach an `error` listener.
+   * @param provider ethers provider to subscribe to
+   * @param {String} announcerAddress Address of the contract emitting Announcement events, if empty the
+   * announcer configured for the provider's network is used
+   * @param {String} viewingPrivateKey Recipient's viewing private key as hex string
+   * @param {Object} options Same key options as AnnouncementScanner (spendingPublicKey or account), plus
+   * confirmations (default 12, 0 confirms payments as soon as they are seen), maxReorgDepth (default 64)
+   * and startBlock (default the current block)
+   */
+  constructor(provider, announcerAddress, viewingPrivateKey, options = {}) {
+    super();
+    this.provider = provider;
+    this.confirmations =
+      options.confirmations === undefined ? 12 : options.confirmations;
+    this.maxReorgDepth = Math.max(
+      options.maxReorgDepth || 64,
+      this.confirmations
+    );
+    this.startBlock = options.startBlock;
+
+    this._scanner = new AnnouncementScanner(
+      provider,
+      announcerAddress,
+      viewingPrivateKey,
+      options
+    );
+    this._blockHashes = new Map();
+    this._payments = [];
+    this._lastBlock = undefined;
+    this._queue = Promise.resolve();
+    this._onBlock = this._onBlock.bind(this);
+    this.running = false;
+  }
+
+  /**
+   * @notice Starts listening for new blocks
+   */
+  async start() {
+    if (this.running) return;
+    if (this._lastBlock === undefined) {
+      const startBlock =
+        this.startBlock !== undefined
+          ? this.startBlock
+          : await this.provider.getBlockNumber();
+      this._lastBlock = startBlock - 1;
+    }
+    this.running = true;
+    await this.provider.on("block", this._onBlock);
+  }
+
+  /**
+   * @notice Stops listening for new blocks. Payments still awaiting confirmation are kept, so
+   * calling start again continues where the watcher left off
+   */
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    await this.provider.off("block", this._onBlock);
+  }
+
+  /**
+   * @notice Returns reported payments that have not reached the required confirmations yet
+   */
+  get pendingPayments() {
+    return this._payments.filter((payment) => !payment.confirmed);
+  }
+
+  /**
+   * @notice Queues a new head so blocks are always processed one at a time and in order
+   */
+  _onBlock(blockNumber) {
+    this._queue = this._queue
+      .then(async () => {
+        try {
+          await this.processBlock(blockNumber);
+        } catch (e) {
+          this.emit("error", e);
+        }
+      })
+      .catch(() => {});
+    return this._queue;
+  }
+
+  /**
+   * @notice Processes every block up to the given head
+   * @dev Called for each `block` event, can also be called directly to drive the watcher manually
+   * @param {Number} headNumber Number of the latest block
+   */
+  async processBlock(headNumber) {
+    const announcerAddress = await this._scanner.getAnnouncerAddress();
+    await this._handleReorg();
+
+    for (let number = this._lastBlock + 1; number <= headNumber; number++) {
+      const block = await this.provider.getBlock(number);
+      if (!block) break;
+
+      // The chain changed between the reorg check and now, pick it up on the next head
+      const parentHash = this._blockHashes.get(number - 1);
+      if (parentHash && block.parentHash !== parentHash) break;
+
+      // Query by block hash so logs always belong to the block we recorded
+      const logs = await this.provider.getLogs({
+        address: announcerAddress,
+        topics: [announcementTopic],
+        blockHash: block.hash,
+      });
+
+      this._blockHashes.set(number, block.hash);
+      this._lastBlock = number;
+
+      for (const log of logs) {
+        const payment = await this._scanner.checkLog(log);
+        if (!payment) continue;
+        payment.confirmed = false;
+        this._payments.push(payment);
+        this.emit("payment", payment);
+      }
+    }
+
+    this._confirm(headNumber);
+    this._prune();
+  }
+
+  /**
+   * @notice Finds the first block whose recorded hash is no longer canonical and retracts everything from it
+   */
+  async _handleReorg() {
+    const numbers = [...this._blockHashes.keys()].sort((a, b) => b - a);
+
+    let forkBlock;
+    for (const number of numbers) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === this._blockHashes.get(number)) break;
+      forkBlock = number;
+    }
+    if (forkBlock === undefined) return;
+
+    const retracted = this._payments.filter(
+      (payment) => payment.blockNumber >= forkBlock
+    );
+    this._payments = this._payments.filter(
+      (payment) => payment.blockNumber < forkBlock
+    );
+    for (const number of numbers) {
+      if (number >= forkBlock) this._blockHashes.delete(number);
+    }
+    this._lastBlock = forkBlock - 1;
+
+    this.emit("reorg", { blockNumber: forkBlock, payments: retracted });
+  }
+
+  /**
+   * @notice Emits `confirmed` for payments that reached the required number of confirmations
+   */
+  _confirm(headNumber) {
+    for (const payment of this._payments) {
+      if (payment.confirmed) continue;
+      if (headNumber - payment.blockNumber + 1 < this.confirmations) continue;
+      payment.confirmed = true;
+      this.emit("confirmed", payment);
+    }
+  }
+
+  /**
+   * @notice Forgets blocks and confirmed payments that are deeper than maxReorgDepth
+   */
+  _prune() {
+    const oldest = this._lastBlock - this.maxReorgDepth;
+    for (const number of this._blockHashes.keys()) {
+      if (number <= oldest) this._blockHashes.delete(number);
+    }
+    this._payments = this._payments.filter(
+      (payment) => !payment.confirmed || payment.blockNumber > oldest
+    );
+  }
+}
+
+module.exports = StealthPaymentWatcher;
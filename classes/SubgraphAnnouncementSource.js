@@ -0,0 +1,169 @@
+/**
+ * @notice Announcement source querying a GraphQL subgraph (e.g. The Graph)
+ * @dev Pages through the announcement entities ordered by id with id_gt cursors, which works past the
+ * 5000 entity skip limit of The Graph. The entity and field names are configurable to match the subgraph's
+ * schema; by default they are those of the Announcement event
+ */
+const { normalizeAnnouncement } = require("../utils/announcements");
+const {
+  ConfigurationError,
+  ProviderError,
+  withProvider,
+} = require("../utils/errors");
+
+const defaultFields = {
+  receiver: "receiver",
+  amount: "amount",
+  tokenAddress: "tokenAddress",
+  pkx: "pkx",
+  ciphertext: "ciphertext",
+  blockNumber: "blockNumber",
+  transactionHash: "transactionHash",
+};
+
+/**
+ * @notice Returns the key a field selection is returned under, e.g. "token" for "token { id }"
+ */
+const responseKey = (selection) => selection.trim().split(/[\s{(]/)[0];
+
+class SubgraphAnnouncementSource {
+  /**
+   * @notice Create SubgraphAnnouncementSource instance
+   * @param {String} url GraphQL endpoint of the subgraph
+   * @param {Object} options Optional entity (collection queried, defaults to "announcements"), fields
+   * mapping announcement fields to selections in the schema (e.g. { tokenAddress: "token { id }" }),
+   * pageSize (defaults to 1000), headers (e.g. an API key), fetch implementation (defaults to the global fetch)
+   * and blockNumberType, the GraphQL scalar of the blockNumber field (defaults to "BigInt", use "Int" for
+   * schemas storing block numbers as Int)
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.entity = options.entity || "announcements";
+    // Fields set to null are not queried, e.g. when the schema has no transaction hash
+    this.fields = Object.fromEntries(
+      Object.entries({ ...defaultFields, ...options.fields }).filter(
+        ([, selection]) => selection
+      )
+    );
+    this.pageSize = options.pageSize || 1000;
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || globalThis.fetch;
+    this.blockNumberType = options.blockNumberType || "BigInt";
+  }
+
+  /**
+   * @notice Returns the announcements in a block range
+   * @param {Object} range Optional fromBlock and toBlock, filtering on the blockNumber field
+   * @returns Normalized announcements ordered by entity id
+   */
+  async getAnnouncements(range = {}) {
+    const announcements = [];
+    let lastId = "";
+    for (;;) {
+      const page = await this._query(this._buildQuery(range), {
+        lastId,
+        first: this.pageSize,
+        ...this._blockVariables(range),
+      });
+      for (const entity of page) {
+        const record = {};
+        for (const [field, selection] of Object.entries(this.fields)) {
+          record[field] = entity[responseKey(selection)];
+        }
+        announcements.push(normalizeAnnouncement(record));
+      }
+      if (page.length < this.pageSize) return announcements;
+      lastId = page[page.length - 1].id;
+    }
+  }
+
+  /**
+   * @notice Builds the query for one page
+   * @dev Block bounds are passed as typed variables, so the value is encoded to match blockNumberType
+   */
+  _buildQuery(range) {
+    const where = ["id_gt: $lastId"];
+    const declarations = ["$lastId: String!", "$first: Int!"];
+    if (
+      (range.fromBlock !== undefined || range.toBlock !== undefined) &&
+      !this.fields.blockNumber
+    ) {
+      throw new ConfigurationError(
+        "Filtering by block needs the blockNumber field"
+      );
+    }
+    const blockField = this.fields.blockNumber
+      ? responseKey(this.fields.blockNumber)
+      : undefined;
+    if (range.fromBlock !== undefined) {
+      where.push(`${blockField}_gte: $fromBlock`);
+      declarations.push(`$fromBlock: ${this.blockNumberType}!`);
+    }
+    if (range.toBlock !== undefined) {
+      where.push(`${blockField}_lte: $toBlock`);
+      declarations.push(`$toBlock: ${this.blockNumberType}!`);
+    }
+    const selections = ["id", ...Object.values(this.fields)].join("\n    ");
+
+    return `query Announcements(${declarations.join(", ")}) {
+  ${
+    this.entity
+  }(first: $first, orderBy: id, orderDirection: asc, where: { ${where.join(
+      ", "
+    )} }) {
+    ${selections}
+  }
+}`;
+  }
+
+  /**
+   * @notice Returns the values of the block bound variables
+   * @dev Int is sent as a JSON number, BigInt and other scalars as a decimal string
+   */
+  _blockVariables(range) {
+    const encode = (block) =>
+      this.blockNumberType === "Int" ? Number(block) : BigInt(block).toString();
+    const variables = {};
+    if (range.fromBlock !== undefined) {
+      variables.fromBlock = encode(range.fromBlock);
+    }
+    if (range.toBlock !== undefined) variables.toBlock = encode(range.toBlock);
+    return variables;
+  }
+
+  /**
+   * @notice Posts a query and returns the entity list, throwing ProviderError on HTTP or GraphQL errors
+   * @dev Only transport failures and HTTP 5xx or 429 responses are retryable, GraphQL errors are not
+   */
+  async _query(query, variables) {
+    const body = await withProvider(`query subgraph ${this.url}`, async () => {
+      const response = await this.fetch(this.url, {
+        method: "POST",
+        headers: { "content-type": "application/json", ...this.headers },
+        body: JSON.stringify({ query, variables }),
+      });
+      if (!response.ok) {
+        // The status makes 5xx and 429 responses retryable
+        const error = new Error(
+          `HTTP ${response.status} ${response.statusText}`
+        );
+        error.status = response.status;
+        throw error;
+      }
+      return response.json();
+    });
+
+    if (body.errors && body.errors.length) {
+      throw new ProviderError(
+        `Subgraph query failed: ${body.errors.map((e) => e.message).join("; ")}`
+      );
+    }
+    const page = body.data && body.data[this.entity];
+    if (!Array.isArray(page)) {
+      throw new ProviderError(`Subgraph returned no ${this.entity}`);
+    }
+    return page;
+  }
+}
+
+module.exports = SubgraphAnnouncementSource;
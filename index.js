@@ -1,19 +1,132 @@
 const KeyPair = require("./classes/KeyPair");
 const RandomNumber = require("./classes/RandomNumber");
 const utils = require("./utils/utils");
+const { findPublicKeyForAddress } = utils;
+const {
+  chainConfigs,
+  getChainConfig,
+  setChainConfig,
+} = require("./utils/chains");
 const StealthKeyRegistry = require("./classes/StealthKeyRegistry");
+const AnnouncementScanner = require("./classes/AnnouncementScanner");
+const StealthPaymentWatcher = require("./classes/StealthPaymentWatcher");
+const StealthPaymentClient = require("./classes/StealthPaymentClient");
+const InMemoryKeyDirectory = require("./classes/InMemoryKeyDirectory");
+const JsonFileKeyDirectory = require("./classes/JsonFileKeyDirectory");
+const RpcAnnouncementSource = require("./classes/RpcAnnouncementSource");
+const SubgraphAnnouncementSource = require("./classes/SubgraphAnnouncementSource");
+const JsonAnnouncementSource = require("./classes/JsonAnnouncementSource");
 const {
   IsUsersFunds,
   generateKeyPair,
+  generateKeyPairFromSeed,
+  generateKeyPairFromMnemonic,
   prepareSend,
 } = require("./utils/Transaction");
+const {
+  encodeStealthMetaAddress,
+  parseStealthMetaAddress,
+  isStealthMetaAddress,
+} = require("./utils/metaAddress");
+const { prepareSweep, broadcastSweep } = require("./utils/sweep");
+const { scanBatch } = require("./utils/batchScan");
+const { normalizeAnnouncement } = require("./utils/announcements");
+const {
+  encryptKeystore,
+  encryptViewingKeystore,
+  decryptKeystore,
+} = require("./utils/keystore");
+const { encryptMemo, decryptMemo, maxMemoLength } = require("./utils/memo");
+const {
+  encodePaymentRequest,
+  parsePaymentRequest,
+  prepareSendFromRequest,
+} = require("./utils/paymentRequest");
+const {
+  stealthMetaAddressTextKey,
+  getEnsStealthMetaAddress,
+  getEnsTextRecord,
+} = require("./utils/ens");
+const { createDisclosure, verifyDisclosure } = require("./utils/disclosure");
+const { getPortfolio, nativeTokenAddress } = require("./utils/portfolio");
+const { testVectors, verifyTestVectors } = require("./utils/testVectors");
+const {
+  StealthError,
+  InvalidKeyError,
+  UnregisteredRecipientError,
+  DecryptionError,
+  ProviderError,
+  InvalidArgumentError,
+  ConfigurationError,
+} = require("./utils/errors");
+const {
+  latestKeyGenerationVersion,
+  getKeyGenerationMessage,
+  normalizeSignature,
+  verifyKeyGenerationSignature,
+  generateKeyPairFromSignature,
+} = require("./utils/keyGeneration");
+const { lintSend, lintWithdrawal } = require("./utils/privacy");
 
 module.exports = {
   KeyPair,
   RandomNumber,
   utils,
   StealthKeyRegistry,
+  AnnouncementScanner,
+  StealthPaymentWatcher,
+  StealthPaymentClient,
+  InMemoryKeyDirectory,
+  JsonFileKeyDirectory,
+  RpcAnnouncementSource,
+  SubgraphAnnouncementSource,
+  JsonAnnouncementSource,
+  normalizeAnnouncement,
   IsUsersFunds,
   generateKeyPair,
+  generateKeyPairFromSeed,
+  generateKeyPairFromMnemonic,
   prepareSend,
+  encodeStealthMetaAddress,
+  parseStealthMetaAddress,
+  isStealthMetaAddress,
+  chainConfigs,
+  getChainConfig,
+  setChainConfig,
+  prepareSweep,
+  broadcastSweep,
+  scanBatch,
+  encryptKeystore,
+  encryptViewingKeystore,
+  decryptKeystore,
+  encryptMemo,
+  decryptMemo,
+  maxMemoLength,
+  encodePaymentRequest,
+  parsePaymentRequest,
+  prepareSendFromRequest,
+  stealthMetaAddressTextKey,
+  getEnsStealthMetaAddress,
+  getEnsTextRecord,
+  createDisclosure,
+  verifyDisclosure,
+  getPortfolio,
+  nativeTokenAddress,
+  testVectors,
+  verifyTestVectors,
+  StealthError,
+  InvalidKeyError,
+  UnregisteredRecipientError,
+  DecryptionError,
+  ProviderError,
+  InvalidArgumentError,
+  ConfigurationError,
+  latestKeyGenerationVersion,
+  getKeyGenerationMessage,
+  normalizeSignature,
+  verifyKeyGenerationSignature,
+  generateKeyPairFromSignature,
+  findPublicKeyForAddress,
+  lintSend,
+  lintWithdrawal,
 };
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toBeHex } = require("ethers");
+const {
+  AnnouncementScanner,
+  KeyPair,
+  ProviderError,
+  encodeStealthMetaAddress,
+  prepareSend,
+} = require("..");
+const { announcementInterface } = require("../utils/announcements");
+
+const token = "0x" + "ab".repeat(20);
+const announcer = "0x" + "cd".repeat(20);
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+
+/**
+ * @notice Returns Announcement logs of payments to the test keys at the given blocks
+ */
+const createLogs = async (blocks) => {
+  const metaAddress = encodeStealthMetaAddress(
+    spendingKeyPair.publicKeyHex,
+    viewingKeyPair.publicKeyHex
+  );
+  const logs = [];
+  for (const [i, blockNumber] of blocks.entries()) {
+    const payment = await prepareSend(metaAddress);
+    logs.push({
+      ...announcementInterface.encodeEventLog("Announcement", [
+        payment.stealthKeyPair.address,
+        1,
+        token,
+        payment.pubKeyXCoordinate,
+        payment.encrypted.ciphertext,
+      ]),
+      address: announcer,
+      blockNumber,
+      transactionHash: toBeHex(i + 1, 32),
+      index: 0,
+    });
+  }
+  return logs;
+};
+
+/**
+ * @notice Returns a provider serving logs, rejecting getLogs ranges over maxRange blocks
+ */
+const createLogProvider = (logs, latestBlock, maxRange) => ({
+  getBlockNumber: async () => latestBlock,
+  getLogs: async (filter) => {
+    if (filter.toBlock - filter.fromBlock + 1 > maxRange) {
+      throw new Error("block range too large");
+    }
+    return logs.filter(
+      (log) =>
+        log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock
+    );
+  },
+});
+
+test("AnnouncementScanner checkpoints after every chunk and resumes from it", async () => {
+  const logs = await createLogs([10, 50, 90]);
+  const checkpoints = [];
+  const options = {
+    spendingPublicKey: spendingKeyPair.publicKeyHex,
+    chunkSize: 20,
+    maxChunkSize: 20,
+    onCheckpoint: (checkpoint) => checkpoints.push(checkpoint.lastScannedBlock),
+  };
+  const scanner = new AnnouncementScanner(
+    createLogProvider(logs, 59, 25),
+    announcer,
+    viewingKeyPair.privateKeyHex,
+    options
+  );
+  const first = await scanner.scan();
+  assert.deepStrictEqual(
+    first.payments.map(({ blockNumber }) => blockNumber),
+    [10, 50]
+  );
+  assert.deepStrictEqual(checkpoints, [19, 39, 59]);
+
+  const resumed = new AnnouncementScanner(
+    createLogProvider(logs, 99, 25),
+    announcer,
+    viewingKeyPair.privateKeyHex,
+    { ...options, checkpoint: first.checkpoint }
+  );
+  const second = await resumed.scan();
+  assert.deepStrictEqual(
+    second.payments.map(({ blockNumber }) => blockNumber),
+    [90]
+  );
+  assert.deepStrictEqual(checkpoints, [19, 39, 59, 79, 99]);
+  assert.deepStrictEqual(second.checkpoint, { lastScannedBlock: 99 });
+});
+
+test("AnnouncementScanner halves rejected chunks and keeps the checkpoint on failure", async () => {
+  const logs = await createLogs([10]);
+  const scanner = new AnnouncementScanner(
+    createLogProvider(logs, 99, 25),
+    announcer,
+    viewingKeyPair.privateKeyHex,
+    {
+      spendingPublicKey: spendingKeyPair.publicKeyHex,
+      chunkSize: 100,
+      minChunkSize: 10,
+    }
+  );
+  const { payments } = await scanner.scan();
+  assert.strictEqual(payments.length, 1);
+
+  const failing = new AnnouncementScanner(
+    createLogProvider(logs, 99, 5),
+    announcer,
+    viewingKeyPair.privateKeyHex,
+    {
+      spendingPublicKey: spendingKeyPair.publicKeyHex,
+      chunkSize: 20,
+      minChunkSize: 10,
+      checkpoint: { lastScannedBlock: 40 },
+    }
+  );
+  await assert.rejects(failing.scan(), ProviderError);
+  assert.deepStrictEqual(failing.checkpoint, { lastScannedBlock: 40 });
+});
@@ -0,0 +1,263 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("node:http");
+const { toBeHex } = require("ethers");
+const {
+  KeyPair,
+  ProviderError,
+  RpcAnnouncementSource,
+  SubgraphAnnouncementSource,
+  encodeStealthMetaAddress,
+  prepareSend,
+} = require("..");
+const { announcementInterface } = require("../utils/announcements");
+
+const token = "0x" + "ab".repeat(20);
+const announcer = "0x" + "cd".repeat(20);
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+
+/**
+ * @notice Prepares count payments to the test keys
+ */
+const preparePayments = async (count) => {
+  const metaAddress = encodeStealthMetaAddress(
+    spendingKeyPair.publicKeyHex,
+    viewingKeyPair.publicKeyHex
+  );
+  const payments = [];
+  for (let i = 0; i < count; i++) {
+    payments.push(await prepareSend(metaAddress));
+  }
+  return payments;
+};
+
+/**
+ * @notice Starts a GraphQL mock answering announcement queries with id_gt pagination and block variables
+ * @returns The endpoint, the received requests and a close function
+ */
+const startSubgraph = async (entities, respond) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { query, variables } = JSON.parse(body);
+      requests.push({ query, variables });
+      if (respond) return respond(res, variables);
+
+      const { fromBlock, toBlock } = variables;
+      const page = entities
+        .filter(
+          (entity) =>
+            entity.id > variables.lastId &&
+            (fromBlock === undefined ||
+              Number(entity.blockNumber) >= Number(fromBlock)) &&
+            (toBlock === undefined ||
+              Number(entity.blockNumber) <= Number(toBlock))
+        )
+        .slice(0, variables.first);
+      res.end(JSON.stringify({ data: { announcements: page } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+test("SubgraphAnnouncementSource pages through announcements with id_gt", async () => {
+  const payments = await preparePayments(5);
+  const entities = payments.map((payment, i) => ({
+    id: `0x${i.toString(16).padStart(4, "0")}`,
+    receiver: payment.stealthKeyPair.address.toLowerCase(),
+    amount: String(1000 + i),
+    tokenAddress: token,
+    pkx: BigInt(payment.pubKeyXCoordinate).toString(),
+    ciphertext: payment.encrypted.ciphertext,
+    blockNumber: String(100 + i),
+    transactionHash: "0x" + "ef".repeat(32),
+  }));
+  const subgraph = await startSubgraph(entities);
+  try {
+    const source = new SubgraphAnnouncementSource(subgraph.url, {
+      pageSize: 2,
+    });
+    const announcements = await source.getAnnouncements();
+
+    assert.deepStrictEqual(
+      subgraph.requests.map(({ variables }) => variables.lastId),
+      ["", "0x0001", "0x0003"]
+    );
+    assert.match(subgraph.requests[0].query, /where: \{ id_gt: \$lastId \}/);
+    assert.strictEqual(announcements.length, 5);
+    for (const [i, announcement] of announcements.entries()) {
+      assert.strictEqual(
+        announcement.receiver,
+        payments[i].stealthKeyPair.address
+      );
+      assert.strictEqual(announcement.pkx, payments[i].pubKeyXCoordinate);
+      assert.strictEqual(announcement.amount, BigInt(1000 + i));
+      assert.strictEqual(announcement.blockNumber, 100 + i);
+    }
+
+    const ranged = await source.getAnnouncements({ fromBlock: 103 });
+    assert.deepStrictEqual(
+      ranged.map(({ blockNumber }) => blockNumber),
+      [103, 104]
+    );
+    const rangedRequest = subgraph.requests[subgraph.requests.length - 1];
+    assert.match(rangedRequest.query, /\$fromBlock: BigInt!/);
+    assert.match(rangedRequest.query, /blockNumber_gte: \$fromBlock/);
+    assert.strictEqual(rangedRequest.variables.fromBlock, "103");
+
+    const intSource = new SubgraphAnnouncementSource(subgraph.url, {
+      pageSize: 2,
+      blockNumberType: "Int",
+    });
+    const intRanged = await intSource.getAnnouncements({
+      fromBlock: 102,
+      toBlock: 103,
+    });
+    assert.deepStrictEqual(
+      intRanged.map(({ blockNumber }) => blockNumber),
+      [102, 103]
+    );
+    const intRequest = subgraph.requests[subgraph.requests.length - 1];
+    assert.match(intRequest.query, /\$fromBlock: Int!, \$toBlock: Int!/);
+    assert.deepStrictEqual(
+      [intRequest.variables.fromBlock, intRequest.variables.toBlock],
+      [102, 103]
+    );
+  } finally {
+    await subgraph.close();
+  }
+});
+
+test("SubgraphAnnouncementSource stops when a page is exactly full", async () => {
+  const subgraph = await startSubgraph([
+    { id: "0x01", receiver: token, amount: "1", tokenAddress: token, pkx: "1", ciphertext: "2", blockNumber: "1" },
+    { id: "0x02", receiver: token, amount: "1", tokenAddress: token, pkx: "1", ciphertext: "2", blockNumber: "1" },
+  ]); // prettier-ignore
+  try {
+    const source = new SubgraphAnnouncementSource(subgraph.url, {
+      pageSize: 2,
+    });
+    assert.strictEqual((await source.getAnnouncements()).length, 2);
+    assert.deepStrictEqual(
+      subgraph.requests.map(({ variables }) => variables.lastId),
+      ["", "0x02"]
+    );
+  } finally {
+    await subgraph.close();
+  }
+});
+
+test("SubgraphAnnouncementSource marks only server failures retryable", async () => {
+  const unavailable = await startSubgraph([], (res) => {
+    res.writeHead(503);
+    res.end();
+  });
+  const invalid = await startSubgraph([], (res) => {
+    res.end(JSON.stringify({ errors: [{ message: "Unknown field" }] }));
+  });
+  try {
+    await assert.rejects(
+      new SubgraphAnnouncementSource(unavailable.url).getAnnouncements(),
+      (e) => e instanceof ProviderError && e.retryable === true
+    );
+    await assert.rejects(
+      new SubgraphAnnouncementSource(invalid.url).getAnnouncements(),
+      (e) =>
+        e instanceof ProviderError &&
+        e.retryable === false &&
+        /Unknown field/.test(e.message)
+    );
+  } finally {
+    await unavailable.close();
+    await invalid.close();
+  }
+});
+
+/**
+ * @notice Returns a provider serving Announcement logs, rejecting getLogs ranges over maxRange blocks
+ */
+const createLogProvider = (logs, latestBlock, maxRange) => {
+  const requests = [];
+  return {
+    requests,
+    getBlockNumber: async () => latestBlock,
+    getLogs: async (filter) => {
+      requests.push([filter.fromBlock, filter.toBlock]);
+      if (filter.toBlock - filter.fromBlock + 1 > maxRange) {
+        throw new Error("block range too large");
+      }
+      return logs.filter(
+        (log) =>
+          log.blockNumber >= filter.fromBlock &&
+          log.blockNumber <= filter.toBlock
+      );
+    },
+  };
+};
+
+test("RpcAnnouncementSource halves rejected chunks", async () => {
+  const payments = await preparePayments(3);
+  const logs = payments.map((payment, i) => ({
+    ...announcementInterface.encodeEventLog("Announcement", [
+      payment.stealthKeyPair.address,
+      1,
+      token,
+      payment.pubKeyXCoordinate,
+      payment.encrypted.ciphertext,
+    ]),
+    address: announcer,
+    blockNumber: 10 + i * 40,
+    transactionHash: toBeHex(i + 1, 32),
+    index: 0,
+  }));
+
+  const provider = createLogProvider(logs, 99, 25);
+  const source = new RpcAnnouncementSource(provider, announcer, {
+    chunkSize: 100,
+    minChunkSize: 10,
+  });
+  const announcements = await source.getAnnouncements();
+  assert.deepStrictEqual(
+    announcements.map(({ blockNumber }) => blockNumber),
+    [10, 50, 90]
+  );
+  assert.deepStrictEqual(provider.requests.slice(0, 4), [
+    [0, 99],
+    [0, 49],
+    [0, 24],
+    [25, 74],
+  ]);
+
+  const chunks = [];
+  const chunked = new RpcAnnouncementSource(
+    createLogProvider(logs, 99, 25),
+    announcer,
+    { chunkSize: 20, maxChunkSize: 20 }
+  );
+  for await (const chunk of chunked.getAnnouncementChunks()) {
+    chunks.push([chunk.toBlock, chunk.logs.length, chunk.announcements.length]);
+  }
+  assert.deepStrictEqual(chunks, [
+    [19, 1, 1],
+    [39, 0, 0],
+    [59, 1, 1],
+    [79, 0, 0],
+    [99, 1, 1],
+  ]);
+
+  await assert.rejects(
+    new RpcAnnouncementSource(createLogProvider(logs, 99, 5), announcer, {
+      chunkSize: 20,
+      minChunkSize: 10,
+    }).getAnnouncements(),
+    (e) => e instanceof ProviderError && /block range too large/.test(e.message)
+  );
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  ConfigurationError,
+  InMemoryKeyDirectory,
+  InvalidArgumentError,
+  KeyPair,
+  StealthError,
+  encodeStealthMetaAddress,
+  prepareSend,
+  scanBatch,
+} = require("..");
+
+const account = "0x" + "ab".repeat(20);
+const recipients = [1, 2].map((i) => ({
+  spendingKeyPair: new KeyPair(`0x${`${i}`.repeat(64)}`),
+  viewingKeyPair: new KeyPair(`0x${`${i + 4}`.repeat(64)}`),
+}));
+
+/**
+ * @notice Returns announcements paying the recipients at the given indexes, null for a stranger
+ */
+const createAnnouncements = async (payees) => {
+  const stranger = new KeyPair("0x" + "99".repeat(32));
+  const announcements = [];
+  for (const payee of payees) {
+    const { spendingKeyPair, viewingKeyPair } =
+      payee === null
+        ? { spendingKeyPair: stranger, viewingKeyPair: stranger }
+        : recipients[payee];
+    const payment = await prepareSend(
+      encodeStealthMetaAddress(
+        spendingKeyPair.publicKeyHex,
+        viewingKeyPair.publicKeyHex
+      )
+    );
+    announcements.push({
+      receiver: payment.stealthKeyPair.address,
+      amount: BigInt(announcements.length),
+      pkx: payment.pubKeyXCoordinate,
+      ciphertext: payment.encrypted.ciphertext,
+    });
+  }
+  return announcements;
+};
+
+const scanRecipients = recipients.map(
+  ({ spendingKeyPair, viewingKeyPair }) => ({
+    spendingPublicKey: spendingKeyPair.publicKeyHex,
+    viewingPrivateKey: viewingKeyPair.privateKeyHex,
+  })
+);
+
+test("scanBatch returns the same matches in order with and without workers", async () => {
+  const announcements = await createAnnouncements([1, null, 0, 0, null, 1, 1]);
+  const inThread = await scanBatch(announcements, scanRecipients, {
+    workers: 0,
+  });
+  const pooled = await scanBatch(announcements, scanRecipients, {
+    workers: 3,
+  });
+
+  assert.deepStrictEqual(
+    pooled.matches.map(({ amountOrId, recipientIndex }) => [
+      amountOrId,
+      recipientIndex,
+    ]),
+    [
+      ["0", 1],
+      ["2", 0],
+      ["3", 0],
+      ["5", 1],
+      ["6", 1],
+    ]
+  );
+  assert.deepStrictEqual(pooled.matches, inThread.matches);
+  assert.strictEqual(pooled.stats.workers, 3);
+  assert.strictEqual(pooled.stats.checks, 14);
+  assert.strictEqual(pooled.stats.failed, 0);
+  for (const match of pooled.matches) {
+    const { spendingKeyPair } = recipients[match.recipientIndex];
+    assert.strictEqual(
+      new KeyPair(
+        KeyPair.computeStealthPrivateKey(
+          spendingKeyPair.privateKeyHex,
+          match.randomNumber
+        )
+      ).address,
+      match.receiver
+    );
+  }
+});
+
+test("a failing worker rejects with a StealthError", async () => {
+  const announcements = await createAnnouncements([0, 1]);
+  await assert.rejects(
+    scanBatch(
+      announcements,
+      [{ ...scanRecipients[0], viewingPrivateKey: "0x1234" }],
+      { workers: 2 }
+    ),
+    (e) =>
+      e instanceof StealthError &&
+      /Scan worker failed/.test(e.message) &&
+      e.cause !== undefined
+  );
+});
+
+test("scanBatch validates recipients before any lookup", async () => {
+  const announcements = await createAnnouncements([0]);
+  let lookups = 0;
+  const keyDirectory = {
+    getStealthKeys: async () => {
+      lookups++;
+      return { spendingPublicKey: "", viewingPublicKey: "" };
+    },
+  };
+
+  await assert.rejects(
+    scanBatch(
+      announcements,
+      [{ account, viewingPrivateKey: scanRecipients[0].viewingPrivateKey }, {}],
+      { keyDirectory }
+    ),
+    (e) => e instanceof InvalidArgumentError && /Recipient 1/.test(e.message)
+  );
+  await assert.rejects(
+    scanBatch(
+      announcements,
+      [{ viewingPrivateKey: scanRecipients[0].viewingPrivateKey }],
+      { keyDirectory }
+    ),
+    InvalidArgumentError
+  );
+  assert.strictEqual(lookups, 0);
+
+  await assert.rejects(
+    scanBatch(announcements, [
+      { account, viewingPrivateKey: scanRecipients[0].viewingPrivateKey },
+    ]),
+    ConfigurationError
+  );
+
+  // Accounts are looked up once, unknown accounts are reported rather than thrown
+  const directory = new InMemoryKeyDirectory({
+    [account]: {
+      spendingPublicKey: recipients[0].spendingKeyPair.publicKeyHex,
+      viewingPublicKey: recipients[0].viewingKeyPair.publicKeyHex,
+    },
+  });
+  const unknown = "0x" + "cd".repeat(20);
+  const { matches, unresolved } = await scanBatch(
+    announcements,
+    [
+      { account, viewingPrivateKey: scanRecipients[0].viewingPrivateKey },
+      {
+        account: unknown,
+        viewingPrivateKey: scanRecipients[1].viewingPrivateKey,
+      },
+    ],
+    { keyDirectory: directory, workers: 0 }
+  );
+  assert.strictEqual(matches.length, 1);
+  assert.strictEqual(matches[0].account, account);
+  assert.deepStrictEqual(unresolved, [unknown]);
+});
@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  InMemoryKeyDirectory,
+  InvalidArgumentError,
+  KeyPair,
+  createDisclosure,
+  encodeStealthMetaAddress,
+  prepareSend,
+  verifyDisclosure,
+} = require("..");
+const { announcementInterface } = require("../utils/announcements");
+
+const account = "0x" + "ab".repeat(20);
+const announcer = "0x" + "cd".repeat(20);
+const transactionHash = "0x" + "12".repeat(32);
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+
+/**
+ * @notice Prepares a payment to the test keys and returns its announcement
+ */
+const createAnnouncement = async () => {
+  const payment = await prepareSend(
+    encodeStealthMetaAddress(
+      spendingKeyPair.publicKeyHex,
+      viewingKeyPair.publicKeyHex
+    )
+  );
+  return {
+    receiver: payment.stealthKeyPair.address,
+    pkx: payment.pubKeyXCoordinate,
+    ciphertext: payment.encrypted.ciphertext,
+    transactionHash,
+    blockNumber: 100,
+  };
+};
+
+/**
+ * @notice Returns a provider whose receipt for transactionHash holds an Announcement of the given one
+ */
+const createProvider = (announcement) => ({
+  getTransactionReceipt: async () => ({
+    blockNumber: 100,
+    logs: [
+      {
+        ...announcementInterface.encodeEventLog("Announcement", [
+          announcement.receiver,
+          1,
+          "0x" + "ee".repeat(20),
+          announcement.pkx,
+          announcement.ciphertext,
+        ]),
+        address: announcer,
+        blockNumber: 100,
+        transactionHash,
+        index: 0,
+      },
+    ],
+  }),
+});
+
+test("a disclosure verifies, on chain and against the account's keys", async () => {
+  const announcement = await createAnnouncement();
+  const bundle = await createDisclosure(
+    announcement,
+    viewingKeyPair.privateKeyHex,
+    spendingKeyPair.privateKeyHex,
+    { statement: "Audit #7" }
+  );
+  assert.strictEqual(bundle.stealthAddress, announcement.receiver);
+  assert.strictEqual(bundle.statement, "Audit #7");
+
+  assert.deepStrictEqual(await verifyDisclosure(JSON.stringify(bundle)), {
+    isValid: true,
+    onChain: "not-checked",
+  });
+
+  const keyDirectory = new InMemoryKeyDirectory({
+    [account]: {
+      spendingPublicKey: spendingKeyPair.publicKeyHex,
+      viewingPublicKey: viewingKeyPair.publicKeyHex,
+    },
+  });
+  assert.deepStrictEqual(
+    await verifyDisclosure(bundle, {
+      provider: createProvider(announcement),
+      announcer,
+      account,
+      keyDirectory,
+    }),
+    { isValid: true, onChain: "verified" }
+  );
+
+  const other = await createAnnouncement();
+  const { isValid, onChain } = await verifyDisclosure(bundle, {
+    provider: createProvider(other),
+  });
+  assert.strictEqual(isValid, false);
+  assert.strictEqual(onChain, "failed");
+});
+
+test("a tampered signature or statement is rejected", async () => {
+  const bundle = await createDisclosure(
+    await createAnnouncement(),
+    viewingKeyPair.privateKeyHex,
+    spendingKeyPair.privateKeyHex
+  );
+
+  const signature = `${bundle.signature.slice(0, 10)}${
+    bundle.signature[10] === "0" ? "1" : "0"
+  }${bundle.signature.slice(11)}`;
+  for (const tampered of [
+    { ...bundle, signature },
+    { ...bundle, statement: "Something else" },
+    { ...bundle, signature: "0x1234" },
+  ]) {
+    const { isValid, reason } = await verifyDisclosure(tampered);
+    assert.strictEqual(isValid, false);
+    assert.ok(reason, "a reason is given");
+  }
+});
+
+test("a disclosure for a different receiver or account is rejected", async () => {
+  const announcement = await createAnnouncement();
+  const bundle = await createDisclosure(
+    announcement,
+    viewingKeyPair.privateKeyHex,
+    spendingKeyPair.privateKeyHex
+  );
+
+  const receiver = (await createAnnouncement()).receiver;
+  const moved = {
+    ...bundle,
+    announcement: { ...bundle.announcement, receiver },
+  };
+  assert.deepStrictEqual(await verifyDisclosure(moved), {
+    isValid: false,
+    onChain: "not-checked",
+    reason: "Stealth address is not the announcement's receiver",
+  });
+
+  const keyDirectory = new InMemoryKeyDirectory({
+    [account]: {
+      spendingPublicKey: new KeyPair("0x" + "44".repeat(32)).publicKeyHex,
+      viewingPublicKey: viewingKeyPair.publicKeyHex,
+    },
+  });
+  const { isValid, reason } = await verifyDisclosure(bundle, {
+    account,
+    keyDirectory,
+  });
+  assert.strictEqual(isValid, false);
+  assert.match(reason, /not registered to/);
+
+  // Only the keys the announcement belongs to can disclose it
+  await assert.rejects(
+    createDisclosure(
+      announcement,
+      viewingKeyPair.privateKeyHex,
+      "0x" + "44".repeat(32)
+    ),
+    InvalidArgumentError
+  );
+});
@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { computeAddress } = require("ethers");
+const {
+  AnnouncementScanner,
+  InMemoryKeyDirectory,
+  InvalidArgumentError,
+  InvalidKeyError,
+  IsUsersFunds,
+  KeyPair,
+  prepareSend,
+} = require("..");
+const { announcementInterface } = require("../utils/announcements");
+
+const account = "0x" + "ab".repeat(20);
+const token = "0x" + "ee".repeat(20);
+const announcer = "0x" + "cd".repeat(20);
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+
+/**
+ * @notice Returns a provider serving the logs, failing any registry or network lookup
+ */
+const createLogProvider = (logs, latestBlock) => ({
+  getBlockNumber: async () => latestBlock,
+  getLogs: async (filter) =>
+    logs.filter(
+      (log) =>
+        log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock
+    ),
+  getNetwork: async () => {
+    throw new Error("no network lookups expected");
+  },
+});
+
+test("a payment can be sent, scanned and withdrawn without an RPC endpoint", async () => {
+  const keyDirectory = new InMemoryKeyDirectory();
+  await keyDirectory.setStealthKeys(
+    account,
+    spendingKeyPair.publicKeyHex,
+    viewingKeyPair.publicKeyHex
+  );
+
+  const payment = await prepareSend(account, undefined, { keyDirectory });
+  const log = {
+    ...announcementInterface.encodeEventLog("Announcement", [
+      payment.stealthKeyPair.address,
+      1000,
+      token,
+      payment.pubKeyXCoordinate,
+      payment.encrypted.ciphertext,
+    ]),
+    address: announcer,
+    blockNumber: 5,
+    transactionHash: "0x" + "12".repeat(32),
+    index: 0,
+  };
+
+  const scanner = new AnnouncementScanner(
+    createLogProvider([log], 9),
+    announcer,
+    viewingKeyPair.privateKeyHex,
+    { account, keyDirectory }
+  );
+  const { payments } = await scanner.scan();
+  assert.strictEqual(payments.length, 1);
+  assert.strictEqual(payments[0].receiver, payment.stealthKeyPair.address);
+  assert.strictEqual(payments[0].amountOrId, "1000");
+
+  const stealthPrivateKey = KeyPair.computeStealthPrivateKey(
+    spendingKeyPair.privateKeyHex,
+    payments[0].randomNumber
+  );
+  assert.strictEqual(
+    computeAddress(stealthPrivateKey),
+    payment.stealthKeyPair.address
+  );
+
+  const { status } = await IsUsersFunds(
+    payments[0],
+    undefined,
+    viewingKeyPair.privateKeyHex,
+    account,
+    { keyDirectory }
+  );
+  assert.strictEqual(status, "match");
+});
+
+test("InMemoryKeyDirectory rejects invalid accounts and keys with typed errors", async () => {
+  const keyDirectory = new InMemoryKeyDirectory();
+  await assert.rejects(
+    keyDirectory.setStealthKeys(
+      "not-an-address",
+      spendingKeyPair.publicKeyHex,
+      viewingKeyPair.publicKeyHex
+    ),
+    InvalidArgumentError
+  );
+  await assert.rejects(
+    keyDirectory.setStealthKeys(
+      account,
+      KeyPair.compressPublicKey(spendingKeyPair.publicKeyHex).pubKeyXCoordinate,
+      viewingKeyPair.publicKeyHex
+    ),
+    InvalidKeyError
+  );
+  assert.deepStrictEqual(await keyDirectory.getStealthKeys(account), {
+    spendingPublicKey: "",
+    viewingPublicKey: "",
+  });
+});
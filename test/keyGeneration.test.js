@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Signature, Wallet, toBeHex } = require("ethers");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const {
+  InvalidArgumentError,
+  InvalidKeyError,
+  generateKeyPairFromMnemonic,
+  generateKeyPairFromSeed,
+  generateKeyPairFromSignature,
+  getKeyGenerationMessage,
+  normalizeSignature,
+} = require("..");
+
+// BIP-39 test mnemonic, its seed is the standard 0x5eb00bbd... vector. The expected keys were derived
+// at m/5564'/60'/index'/0' (spending) and /1' (viewing) with the ethers v5 HDNode implementation
+const mnemonic =
+  "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+const seed =
+  "0x5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc19a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4";
+const expectedKeys = [
+  {
+    spendingPrivateKey:
+      "0x332ad43806153a75b59843b93b8e885bad42c69828abd6aa5b6c9400830505a6",
+    viewingPrivateKey:
+      "0x997030b808c0a70ccb9fe7e647a7790db53ee5baa333870fc6a20582b94013f1",
+  },
+  {
+    spendingPrivateKey:
+      "0xcaa9997c5092f0770c5e27421b7d03b16b31a8906959728766062e8eedd04652",
+    viewingPrivateKey:
+      "0x6ddc66ace98ba7ab4206a737fc6f4fdd5f678e19600070fcf94b61ba4af81941",
+  },
+];
+
+test("mnemonic and seed derivation match the known keys at indexes 0 and 1", async () => {
+  for (const [index, expected] of expectedKeys.entries()) {
+    for (const keys of [
+      await generateKeyPairFromMnemonic(mnemonic, index),
+      await generateKeyPairFromSeed(seed, index),
+    ]) {
+      assert.deepStrictEqual(
+        {
+          spendingPrivateKey: keys.spendingKeyPair.privateKeyHex,
+          viewingPrivateKey: keys.viewingKeyPair.privateKeyHex,
+        },
+        expected
+      );
+    }
+  }
+
+  const withPassword = await generateKeyPairFromMnemonic(mnemonic, 0, "TREZOR");
+  assert.strictEqual(
+    withPassword.spendingKeyPair.privateKeyHex,
+    "0xa7d45dce48fd659d1a57b22c2e78a9321f31bbceb5482441bdb6314efff64771"
+  );
+});
+
+test("the identity index must be a non-hardened 31 bit integer", async () => {
+  for (const index of [-1, 1.5, 2 ** 31, "1"]) {
+    await assert.rejects(
+      generateKeyPairFromSeed(seed, index),
+      InvalidArgumentError
+    );
+  }
+  const last = await generateKeyPairFromSeed(seed, 2 ** 31 - 1);
+  assert.notStrictEqual(
+    last.spendingKeyPair.privateKeyHex,
+    expectedKeys[0].spendingPrivateKey
+  );
+  await assert.rejects(generateKeyPairFromSeed("0x1234"), InvalidKeyError);
+  await assert.rejects(
+    generateKeyPairFromMnemonic("abandon abandon about"),
+    /invalid mnemonic/i
+  );
+});
+
+test("every encoding of a signature normalizes to the same keys", async () => {
+  const wallet = new Wallet("0x" + "42".repeat(32));
+  const message = getKeyGenerationMessage(1);
+  const signature = Signature.from(await wallet.signMessage(message));
+  const { r, s, yParity } = signature;
+  const highS = toBeHex(secp256k1.CURVE.n - BigInt(s), 32);
+
+  const encodings = [
+    signature.serialized,
+    signature.compactSerialized,
+    `${r}${s.slice(2)}${toBeHex(yParity, 1).slice(2)}`,
+    `${r}${s.slice(2)}${toBeHex(31 + yParity, 1).slice(2)}`,
+    `${r}${highS.slice(2)}${toBeHex(27 + (yParity ^ 1), 1).slice(2)}`,
+  ];
+  for (const encoding of encodings) {
+    assert.strictEqual(normalizeSignature(encoding), signature.serialized);
+  }
+
+  const expected = await generateKeyPairFromSignature(signature.serialized, {
+    account: wallet.address,
+    chainId: 1,
+  });
+  for (const encoding of encodings) {
+    const keys = await generateKeyPairFromSignature(encoding, {
+      account: wallet.address,
+      message,
+    });
+    assert.strictEqual(
+      keys.spendingKeyPair.privateKeyHex,
+      expected.spendingKeyPair.privateKeyHex
+    );
+    assert.strictEqual(
+      keys.viewingKeyPair.privateKeyHex,
+      expected.viewingKeyPair.privateKeyHex
+    );
+  }
+
+  const invalid = [
+    `${r}${s.slice(2)}1d`, // v = 29
+    `0x${"00".repeat(32)}${s.slice(2)}1b`, // r = 0
+    `${r}${toBeHex(secp256k1.CURVE.n, 32).slice(2)}1b`, // s = n
+    signature.serialized.slice(0, -2 * 2), // 63 bytes
+  ];
+  for (const encoding of invalid) {
+    assert.throws(() => normalizeSignature(encoding), InvalidKeyError);
+  }
+  await assert.rejects(
+    generateKeyPairFromSignature(signature.serialized, {
+      account: "0x" + "11".repeat(20),
+      chainId: 1,
+    }),
+    InvalidKeyError
+  );
+  assert.throws(() => getKeyGenerationMessage(1, 99), InvalidArgumentError);
+});
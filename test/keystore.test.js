@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DecryptionError,
+  InvalidArgumentError,
+  KeyPair,
+  decryptKeystore,
+  encryptKeystore,
+  encryptViewingKeystore,
+} = require("..");
+
+const keys = {
+  spendingKeyPair: new KeyPair("0x" + "11".repeat(32)),
+  viewingKeyPair: new KeyPair("0x" + "22".repeat(32)),
+};
+const password = "correct horse battery staple";
+// The weakest parameters allowed, to keep the tests fast
+const scrypt = { n: 4096, r: 8, p: 1 };
+
+/**
+ * @notice Returns the keystore with one hex character of a crypto field changed
+ */
+const tamper = (json, field) => {
+  const keystore = JSON.parse(json);
+  const value = keystore.crypto[field];
+  const last = value.slice(-1) === "0" ? "1" : "0";
+  keystore.crypto[field] = value.slice(0, -1) + last;
+  return keystore;
+};
+
+test("a keystore round trips with the password", async () => {
+  const json = await encryptKeystore(keys, password, { scrypt });
+  const keystore = JSON.parse(json);
+  assert.deepStrictEqual(keystore.keys, ["spending", "viewing"]);
+  assert.strictEqual(keystore.crypto.kdfparams.n, 4096);
+  assert.ok(!json.includes(keys.viewingKeyPair.privateKeyHex.slice(2)));
+
+  const { spendingKeyPair, viewingKeyPair } = await decryptKeystore(
+    json,
+    password
+  );
+  assert.strictEqual(
+    spendingKeyPair.privateKeyHex,
+    keys.spendingKeyPair.privateKeyHex
+  );
+  assert.strictEqual(
+    viewingKeyPair.privateKeyHex,
+    keys.viewingKeyPair.privateKeyHex
+  );
+
+  const viewingOnly = await decryptKeystore(
+    await encryptViewingKeystore(keys, password, { scrypt }),
+    password
+  );
+  assert.strictEqual(viewingOnly.spendingKeyPair.privateKeyHex, undefined);
+  assert.strictEqual(
+    viewingOnly.spendingKeyPair.publicKeyHex,
+    keys.spendingKeyPair.publicKeyHex
+  );
+  assert.strictEqual(
+    viewingOnly.viewingKeyPair.privateKeyHex,
+    keys.viewingKeyPair.privateKeyHex
+  );
+});
+
+test("a wrong password or a tampered keystore fails the MAC check", async () => {
+  const json = await encryptKeystore(keys, password, { scrypt });
+  await assert.rejects(
+    decryptKeystore(json, "wrong password"),
+    (e) => e instanceof DecryptionError && /Incorrect password/.test(e.message)
+  );
+  await assert.rejects(
+    decryptKeystore(tamper(json, "ciphertext"), password),
+    DecryptionError
+  );
+  await assert.rejects(
+    decryptKeystore(tamper(json, "mac"), password),
+    DecryptionError
+  );
+
+  // The public keys stored in the clear are covered by the MAC too
+  const swapped = JSON.parse(json);
+  swapped.spendingPublicKey = new KeyPair("0x" + "33".repeat(32)).publicKeyHex;
+  await assert.rejects(decryptKeystore(swapped, password), DecryptionError);
+});
+
+test("scrypt parameters outside the bounds are refused", async () => {
+  for (const params of [
+    { n: 2048, r: 8, p: 1 },
+    { n: 5000, r: 8, p: 1 },
+    { n: 2097152, r: 8, p: 1 },
+    { n: 1048576, r: 16, p: 1 },
+    { n: 4096, r: 64, p: 1 },
+    { n: 4096, r: 8, p: 0 },
+    { n: 1048576, r: 8, p: 4 },
+  ]) {
+    await assert.rejects(
+      encryptKeystore(keys, password, { scrypt: params }),
+      InvalidArgumentError
+    );
+  }
+
+  // Checked before deriving the key, so a crafted file cannot make decryption allocate gigabytes
+  const keystore = JSON.parse(
+    await encryptKeystore(keys, password, { scrypt })
+  );
+  keystore.crypto.kdfparams.n = 2 ** 24;
+  await assert.rejects(
+    decryptKeystore(keystore, password),
+    InvalidArgumentError
+  );
+  keystore.crypto.kdfparams.n = 4096;
+  keystore.crypto.kdfparams.salt = "0x01";
+  await assert.rejects(
+    decryptKeystore(keystore, password),
+    InvalidArgumentError
+  );
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { getBytes, hexlify } = require("ethers");
+const {
+  DecryptionError,
+  InvalidArgumentError,
+  KeyPair,
+  decryptMemo,
+  encodeStealthMetaAddress,
+  encryptMemo,
+  prepareSend,
+} = require("..");
+const { checkAnnouncement } = require("../utils/Transaction");
+
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+const metaAddress = encodeStealthMetaAddress(
+  spendingKeyPair.publicKeyHex,
+  viewingKeyPair.publicKeyHex
+);
+const sharedSecret = "0x" + "33".repeat(32);
+
+/**
+ * @notice Returns the memo with one byte at the given index flipped
+ */
+const flipByte = (memo, index) => {
+  const bytes = getBytes(memo);
+  bytes[index] ^= 1;
+  return hexlify(bytes);
+};
+
+test("a memo round trips through prepareSend and checkAnnouncement", async () => {
+  const payment = await prepareSend(metaAddress, undefined, {
+    memo: "Invoice #1042 ✓",
+  });
+  // Version byte, one 32 byte block and the 16 byte MAC
+  assert.strictEqual(getBytes(payment.memo).length, 1 + 32 + 16);
+
+  const { isForUser, memo } = await checkAnnouncement(
+    {
+      pkx: payment.pubKeyXCoordinate,
+      ciphertext: payment.encrypted.ciphertext,
+      receiver: payment.stealthKeyPair.address,
+      memo: payment.memo,
+    },
+    viewingKeyPair,
+    spendingKeyPair
+  );
+  assert.strictEqual(isForUser, true);
+  assert.strictEqual(memo, "Invoice #1042 ✓");
+
+  const long = "x".repeat(256);
+  assert.strictEqual(
+    decryptMemo(sharedSecret, encryptMemo(sharedSecret, long)),
+    long
+  );
+  assert.throws(
+    () => encryptMemo(sharedSecret, "x".repeat(257)),
+    InvalidArgumentError
+  );
+});
+
+test("a tampered memo or a wrong key fails authentication", async () => {
+  const encrypted = encryptMemo(sharedSecret, "refund");
+  const length = getBytes(encrypted).length;
+  for (const index of [1, 20, length - 1]) {
+    assert.throws(
+      () => decryptMemo(sharedSecret, flipByte(encrypted, index)),
+      (e) => e instanceof DecryptionError && /authentication/.test(e.message)
+    );
+  }
+  assert.throws(
+    () => decryptMemo(sharedSecret, flipByte(encrypted, 0)),
+    DecryptionError
+  );
+  assert.throws(
+    () => decryptMemo(sharedSecret, encrypted.slice(0, -2)),
+    DecryptionError
+  );
+  assert.throws(
+    () => decryptMemo("0x" + "44".repeat(32), encrypted),
+    DecryptionError
+  );
+
+  // The payment is still found, only the memo is dropped
+  const payment = await prepareSend(metaAddress, undefined, { memo: "refund" });
+  const { isForUser, memo } = await checkAnnouncement(
+    {
+      pkx: payment.pubKeyXCoordinate,
+      ciphertext: payment.encrypted.ciphertext,
+      receiver: payment.stealthKeyPair.address,
+      memo: flipByte(payment.memo, 5),
+    },
+    viewingKeyPair,
+    spendingKeyPair
+  );
+  assert.strictEqual(isForUser, true);
+  assert.strictEqual(memo, "");
+});
+
+test("a memo cannot be encrypted with an injected ephemeral key", async () => {
+  await assert.rejects(
+    prepareSend(metaAddress, undefined, {
+      memo: "hello",
+      ephemeralPrivateKey: "0x" + "55".repeat(32),
+    }),
+    InvalidArgumentError
+  );
+  await assert.rejects(
+    prepareSend(metaAddress, undefined, {
+      memo: "hello",
+      randomSource: (length) => new Uint8Array(length).fill(7),
+    }),
+    InvalidArgumentError
+  );
+});
@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Interface, getAddress } = require("ethers");
+const { getPortfolio, nativeTokenAddress } = require("..");
+const { multicallAddress } = require("../utils/portfolio");
+
+const chainInterface = new Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  "function getEthBalance(address addr) view returns (uint256 balance)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function tokenPayments(address stealthAddr, address token) view returns (uint256)",
+]); // prettier-ignore
+const stealthAddresses = ["0x11", "0x22", "0x33"].map((prefix) =>
+  getAddress(prefix + "00".repeat(19))
+);
+const token = getAddress("0x" + "aa".repeat(20));
+const nft = getAddress("0x" + "bb".repeat(20));
+const announcer = getAddress("0x" + "cd".repeat(20));
+
+const payments = [
+  { stealthAddress: stealthAddresses[0], tokenAddress: nativeTokenAddress, amountOrId: "5" },
+  { stealthAddress: stealthAddresses[0], tokenAddress: token, amount: 60n },
+  { stealthAddress: stealthAddresses[0], tokenAddress: token, amountOrId: "40" },
+  { stealthAddress: stealthAddresses[1], tokenAddress: nft, amountOrId: "7" },
+  { stealthAddress: stealthAddresses[1], tokenAddress: nft, amountOrId: "123456789" },
+  { stealthAddress: stealthAddresses[2], tokenAddress: "0x" + "00".repeat(20), amountOrId: "1" },
+]; // prettier-ignore
+
+/**
+ * @notice Returns a provider answering balance, ERC-165 and pending token reads, with Multicall3 deployed
+ * or not. Unknown calls revert
+ */
+const createProvider = (withMulticall) => {
+  const ethBalances = { [stealthAddresses[0]]: 0n, [stealthAddresses[2]]: 0n };
+  const calls = [];
+
+  const answer = (target, data) => {
+    const { name, args } = chainInterface.parseTransaction({ data });
+    calls.push(name);
+    let result;
+    if (name === "getEthBalance" && target === multicallAddress) {
+      result = ethBalances[args[0]];
+    } else if (name === "balanceOf" && target === token) {
+      result = 30n;
+    } else if (name === "balanceOf" && target === nft) {
+      result = 1n;
+    } else if (name === "supportsInterface" && target === nft) {
+      result = args[0] === "0x80ac58cd";
+    } else if (name === "tokenPayments" && target === announcer) {
+      result = args[1] === token ? 70n : 0n;
+    } else {
+      throw new Error("execution reverted");
+    }
+    return chainInterface.encodeFunctionResult(name, [result]);
+  };
+
+  return {
+    calls,
+    getCode: async (address) =>
+      withMulticall && address === multicallAddress ? "0x6080" : "0x",
+    getBalance: async (address) => {
+      calls.push("getBalance");
+      return ethBalances[getAddress(address)];
+    },
+    call: async ({ to, data }) => {
+      const target = getAddress(to);
+      if (target !== multicallAddress) return answer(target, data);
+      calls.push("aggregate3");
+      const [batch] = chainInterface.decodeFunctionData("aggregate3", data);
+      const results = batch.map(({ target, callData }) => {
+        try {
+          return [true, answer(getAddress(target), callData)];
+        } catch (e) {
+          return [false, "0x"];
+        }
+      });
+      return chainInterface.encodeFunctionResult("aggregate3", [results]);
+    },
+  };
+};
+
+/**
+ * @notice Checks the portfolio of the test payments, which is the same whichever way it was read
+ */
+const assertPortfolio = ({ addresses, totals }) => {
+  assert.deepStrictEqual(addresses, [
+    {
+      stealthAddress: stealthAddresses[0],
+      balances: [
+        { tokenAddress: nativeTokenAddress, payments: 1, received: 5n, balance: 0n },
+        { tokenAddress: token, payments: 2, received: 100n, balance: 30n, pending: 70n },
+      ],
+      swept: false,
+    },
+    {
+      stealthAddress: stealthAddresses[1],
+      balances: [
+        { tokenAddress: nft, payments: 2, received: 2n, balance: 1n, tokenIds: [7n, 123456789n], pending: 0n },
+      ],
+      swept: false,
+    },
+    {
+      stealthAddress: stealthAddresses[2],
+      balances: [
+        { tokenAddress: nativeTokenAddress, payments: 1, received: 1n, balance: 0n },
+      ],
+      swept: true,
+    },
+  ]); // prettier-ignore
+  assert.deepStrictEqual(totals, [
+    { tokenAddress: nativeTokenAddress, balance: 0n },
+    { tokenAddress: token, balance: 100n },
+    { tokenAddress: nft, balance: 1n },
+  ]);
+};
+
+test("getPortfolio batches reads through Multicall3", async () => {
+  const provider = createProvider(true);
+  const portfolio = await getPortfolio(payments, provider, {
+    announcer,
+    batchSize: 4,
+  });
+  assert.strictEqual(portfolio.usedMulticall, true);
+  assertPortfolio(portfolio);
+  // Two ERC-721 checks, two ETH balances and two reads for each token: two batches of four
+  assert.strictEqual(
+    provider.calls.filter((name) => name === "aggregate3").length,
+    2
+  );
+  assert.ok(!provider.calls.includes("getBalance"));
+});
+
+test("getPortfolio falls back to sequential reads without Multicall3", async () => {
+  const provider = createProvider(false);
+  const portfolio = await getPortfolio(payments, provider, { announcer });
+  assert.strictEqual(portfolio.usedMulticall, false);
+  assertPortfolio(portfolio);
+  assert.strictEqual(
+    provider.calls.filter((name) => name === "getBalance").length,
+    2
+  );
+
+  const forced = await getPortfolio(payments, createProvider(true), {
+    announcer,
+    multicall: false,
+  });
+  assert.strictEqual(forced.usedMulticall, false);
+  assertPortfolio(forced);
+});
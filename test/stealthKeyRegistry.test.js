@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Interface } = require("ethers");
+const {
+  ConfigurationError,
+  KeyPair,
+  StealthKeyRegistry,
+  chainConfigs,
+  getChainConfig,
+  setChainConfig,
+} = require("..");
+const { registryAbi } = require("../utils/chains");
+
+const registryInterface = new Interface(registryAbi);
+const registryAddress = "0x31fe56609C65Cd0C510E7125f051D440424D38f3";
+const account = "0x" + "ab".repeat(20);
+const startBlock = chainConfigs[1].startBlock;
+
+/**
+ * @notice Returns a StealthKeyChanged log registering the key pairs for the account
+ */
+const createLog = (spendingKeyPair, viewingKeyPair, blockNumber) => {
+  const spending = KeyPair.compressPublicKey(spendingKeyPair.publicKeyHex);
+  const viewing = KeyPair.compressPublicKey(viewingKeyPair.publicKeyHex);
+  return {
+    ...registryInterface.encodeEventLog("StealthKeyChanged", [
+      account,
+      spending.prefix,
+      spending.pubKeyXCoordinate,
+      viewing.prefix,
+      viewing.pubKeyXCoordinate,
+    ]),
+    address: registryAddress,
+    blockNumber,
+    transactionHash: "0x" + "12".repeat(32),
+    index: 0,
+  };
+};
+
+/**
+ * @notice Returns a provider serving logs, rejecting getLogs ranges over maxRange blocks
+ */
+const createProvider = (logs, latestBlock, maxRange, chainId = 1n) => {
+  const requests = [];
+  return {
+    requests,
+    getNetwork: async () => ({ chainId }),
+    getBlockNumber: async () => latestBlock,
+    getLogs: async (filter) => {
+      requests.push([filter.fromBlock, filter.toBlock]);
+      if (filter.toBlock - filter.fromBlock + 1 > maxRange) {
+        throw new Error("block range too large");
+      }
+      return logs.filter(
+        (log) =>
+          log.blockNumber >= filter.fromBlock &&
+          log.blockNumber <= filter.toBlock
+      );
+    },
+  };
+};
+
+test("getStealthKeyHistory pages from the registry deployment block", async () => {
+  const first = [1, 2].map((i) => new KeyPair(`0x${`${i}`.repeat(64)}`));
+  const second = [3, 4].map((i) => new KeyPair(`0x${`${i}`.repeat(64)}`));
+  const provider = createProvider(
+    [
+      createLog(...first, startBlock + 10),
+      createLog(...second, startBlock + 250),
+    ],
+    startBlock + 299,
+    100
+  );
+  const registry = new StealthKeyRegistry(provider, {
+    chunkSize: 400,
+    minChunkSize: 50,
+  });
+
+  const history = await registry.getStealthKeyHistory(account);
+  assert.deepStrictEqual(
+    history.map((entry) => [entry.blockNumber, entry.spendingPublicKey]),
+    [
+      [startBlock + 10, first[0].publicKeyHex],
+      [startBlock + 250, second[0].publicKeyHex],
+    ]
+  );
+  assert.strictEqual(provider.requests[0][0], startBlock);
+  assert.ok(
+    provider.requests.every(([from, to]) => from >= startBlock && to >= from)
+  );
+
+  const { viewingPublicKey } = await registry.getStealthKeysAt(
+    account,
+    startBlock + 100
+  );
+  assert.strictEqual(viewingPublicKey, first[1].publicKeyHex);
+});
+
+test("chains without a configuration throw ConfigurationError", async () => {
+  const chainId = 424242;
+  const keyPairs = [1, 2].map((i) => new KeyPair(`0x${`${i}`.repeat(64)}`));
+  const provider = createProvider(
+    [createLog(...keyPairs, 10)],
+    99,
+    1000,
+    424242n
+  );
+
+  assert.throws(() => getChainConfig(chainId), ConfigurationError);
+  await assert.rejects(
+    new StealthKeyRegistry(provider).getStealthKeyHistory(account),
+    ConfigurationError
+  );
+
+  // An explicit registry address is enough, history then starts at block 0
+  const history = await new StealthKeyRegistry(provider, {
+    address: registryAddress,
+  }).getStealthKeyHistory(account);
+  assert.deepStrictEqual(
+    history.map((entry) => entry.blockNumber),
+    [10]
+  );
+  assert.strictEqual(provider.requests[0][0], 0);
+
+  setChainConfig(chainId, { announcer: registryAddress });
+  assert.strictEqual(getChainConfig(chainId).registry, undefined);
+  await assert.rejects(
+    new StealthKeyRegistry(provider).getStealthKeys(account),
+    (e) => e instanceof ConfigurationError && /registry/.test(e.message)
+  );
+  delete chainConfigs[chainId];
+});
@@ -0,0 +1,202 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  AbiCoder,
+  Interface,
+  getAddress,
+  getBytes,
+  toBeHex,
+  verifyMessage,
+} = require("ethers");
+const {
+  ConfigurationError,
+  KeyPair,
+  StealthPaymentClient,
+  encodeStealthMetaAddress,
+  prepareSend,
+} = require("..");
+const { umbraAbi } = require("../utils/chains");
+
+const umbraInterface = new Interface(umbraAbi);
+const erc20Interface = new Interface([
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+]);
+const contractAddress = "0x" + "cd".repeat(20);
+const token = "0x" + "ab".repeat(20);
+const senderAddress = "0x" + "11".repeat(20);
+const acceptor = "0x" + "22".repeat(20);
+const toll = 1000n;
+
+/**
+ * @notice Returns a provider answering toll and allowance calls and mining every transaction immediately
+ */
+const createProvider = (allowance = 0n) => ({
+  getNetwork: async () => ({ chainId: 1n }),
+  call: async (tx) => {
+    const selector = tx.data.slice(0, 10);
+    const value =
+      selector === umbraInterface.getFunction("toll").selector
+        ? toll
+        : allowance;
+    return AbiCoder.defaultAbiCoder().encode(["uint256"], [value]);
+  },
+  getBlockNumber: async () => 1,
+  getTransactionReceipt: async (hash) => ({
+    hash,
+    status: 1,
+    logs: [],
+    confirmations: async () => 1,
+  }),
+});
+
+/**
+ * @notice Returns a signer on createProvider(allowance) recording sent transactions
+ */
+const createSigner = (allowance) => {
+  const sent = [];
+  const provider = createProvider(allowance);
+  return {
+    sent,
+    provider,
+    getAddress: async () => senderAddress,
+    call: (tx) => provider.call(tx),
+    sendTransaction: async (tx) => {
+      sent.push(tx);
+      return {
+        ...tx,
+        hash: toBeHex(sent.length, 32),
+        from: senderAddress,
+        nonce: sent.length,
+      };
+    },
+  };
+};
+
+/**
+ * @notice Prepares a payment to fixed test keys
+ */
+const prepareDetails = () =>
+  prepareSend(
+    encodeStealthMetaAddress(
+      new KeyPair("0x" + "33".repeat(32)).publicKeyHex,
+      new KeyPair("0x" + "44".repeat(32)).publicKeyHex
+    )
+  );
+
+test("sendEth adds the toll and announces the payment", async () => {
+  const signer = createSigner(0n);
+  const client = new StealthPaymentClient(signer, { address: contractAddress });
+  const details = await prepareDetails();
+
+  await client.sendEth(details, 5000n);
+  assert.strictEqual(signer.sent.length, 1);
+  const [tx] = signer.sent;
+  assert.strictEqual(tx.to.toLowerCase(), contractAddress);
+  assert.strictEqual(tx.value, 6000n);
+  const { name, args } = umbraInterface.parseTransaction(tx);
+  assert.strictEqual(name, "sendEth");
+  assert.deepStrictEqual(
+    [...args],
+    [
+      details.stealthKeyPair.address,
+      toll,
+      details.pubKeyXCoordinate,
+      details.encrypted.ciphertext,
+    ]
+  );
+});
+
+test("sendToken approves the contract only when the allowance is too low", async () => {
+  const details = await prepareDetails();
+
+  const approved = createSigner(700n);
+  await new StealthPaymentClient(approved, {
+    address: contractAddress,
+  }).sendToken(details, token, 700n);
+  assert.deepStrictEqual(
+    approved.sent.map((tx) => umbraInterface.parseTransaction(tx).name),
+    ["sendToken"]
+  );
+
+  const unapproved = createSigner(699n);
+  await new StealthPaymentClient(unapproved, {
+    address: contractAddress,
+  }).sendToken(details, token, 700n);
+  assert.strictEqual(unapproved.sent.length, 2);
+  const [approval, send] = unapproved.sent;
+  assert.strictEqual(approval.to.toLowerCase(), token);
+  assert.deepStrictEqual(
+    [...erc20Interface.parseTransaction(approval).args],
+    [getAddress(contractAddress), 700n]
+  );
+  const { name, args } = umbraInterface.parseTransaction(send);
+  assert.strictEqual(name, "sendToken");
+  assert.strictEqual(send.value, toll);
+  assert.deepStrictEqual(
+    [...args],
+    [
+      details.stealthKeyPair.address,
+      getAddress(token),
+      700n,
+      details.pubKeyXCoordinate,
+      details.encrypted.ciphertext,
+    ]
+  );
+});
+
+test("withdrawTokenOnBehalf submits the stealth address's signature", async () => {
+  const signer = createSigner(0n);
+  const client = new StealthPaymentClient(signer, { address: contractAddress });
+  const stealthKeyPair = new KeyPair("0x" + "55".repeat(32));
+
+  const { signature } = await client.signWithdrawal(
+    stealthKeyPair.privateKeyHex,
+    token,
+    acceptor,
+    senderAddress,
+    10n
+  );
+  await client.withdrawTokenOnBehalf(
+    stealthKeyPair.address,
+    token,
+    acceptor,
+    senderAddress,
+    10n,
+    signature
+  );
+
+  const { name, args } = umbraInterface.parseTransaction(signer.sent[0]);
+  assert.strictEqual(name, "withdrawTokenOnBehalf");
+  assert.strictEqual(args.stealthAddr, stealthKeyPair.address);
+  assert.strictEqual(args.acceptor.toLowerCase(), acceptor);
+  assert.strictEqual(args.sponsorFee, 10n);
+  const digest = await client.getWithdrawalDigest(
+    token,
+    acceptor,
+    senderAddress,
+    10n
+  );
+  const signed = { v: args.v, r: args.r, s: args.s };
+  assert.strictEqual(
+    verifyMessage(getBytes(digest), signed),
+    stealthKeyPair.address
+  );
+});
+
+test("sending without a signer throws ConfigurationError", async () => {
+  const client = new StealthPaymentClient(createProvider(), {
+    address: contractAddress,
+  });
+  const details = await prepareDetails();
+
+  await assert.rejects(client.sendEth(details, 1n), ConfigurationError);
+  await assert.rejects(
+    client.sendToken(details, token, 1n),
+    ConfigurationError
+  );
+
+  const signer = createSigner(0n);
+  await client.sendEth(details, 1n, signer);
+  assert.strictEqual(signer.sent.length, 1);
+});
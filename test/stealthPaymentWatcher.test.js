@@ -0,0 +1,164 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { id, toBeHex } = require("ethers");
+const {
+  KeyPair,
+  StealthPaymentWatcher,
+  encodeStealthMetaAddress,
+  prepareSend,
+} = require("..");
+const { announcementInterface } = require("../utils/announcements");
+
+const token = "0x" + "ab".repeat(20);
+const announcer = "0x" + "cd".repeat(20);
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+
+/**
+ * @notice Returns an Announcement log of a payment to the test keys
+ */
+const createLog = async () => {
+  const payment = await prepareSend(
+    encodeStealthMetaAddress(
+      spendingKeyPair.publicKeyHex,
+      viewingKeyPair.publicKeyHex
+    )
+  );
+  return {
+    ...announcementInterface.encodeEventLog("Announcement", [
+      payment.stealthKeyPair.address,
+      1,
+      token,
+      payment.pubKeyXCoordinate,
+      payment.encrypted.ciphertext,
+    ]),
+    address: announcer,
+    transactionHash: "0x" + "12".repeat(32),
+    index: 0,
+  };
+};
+
+/**
+ * @notice Returns a provider over a mutable chain, setBlock replaces the block at a height
+ */
+const createChainProvider = () => {
+  const blocks = new Map();
+  const provider = {
+    getBlock: async (number) => blocks.get(number) || null,
+    getLogs: async ({ blockHash }) => {
+      const block = [...blocks.values()].find(
+        (block) => block.hash === blockHash
+      );
+      return block ? block.logs : [];
+    },
+    on: async () => {},
+    off: async () => {},
+    setBlock: (number, fork, logs = []) => {
+      const hash = id(`${fork}:${number}`);
+      const parent = blocks.get(number - 1);
+      blocks.set(number, {
+        number,
+        hash,
+        parentHash: parent ? parent.hash : toBeHex(0, 32),
+        logs: logs.map((log) => ({
+          ...log,
+          blockNumber: number,
+          blockHash: hash,
+        })),
+      });
+    },
+  };
+  return provider;
+};
+
+/**
+ * @notice Returns a watcher on the provider recording every emitted event
+ */
+const createWatcher = (provider, options) => {
+  const watcher = new StealthPaymentWatcher(
+    provider,
+    announcer,
+    viewingKeyPair.privateKeyHex,
+    { spendingPublicKey: spendingKeyPair.publicKeyHex, ...options }
+  );
+  const events = [];
+  for (const name of ["payment", "confirmed", "reorg", "error"]) {
+    watcher.on(name, (event) => events.push([name, event]));
+  }
+  return { watcher, events };
+};
+
+test("StealthPaymentWatcher retracts payments from replaced blocks", async () => {
+  const log = await createLog();
+  const provider = createChainProvider();
+  provider.setBlock(10, "a");
+  provider.setBlock(11, "a", [log]);
+  provider.setBlock(12, "a");
+  const { watcher, events } = createWatcher(provider, {
+    startBlock: 10,
+    confirmations: 3,
+  });
+  await watcher.start();
+
+  await watcher.processBlock(12);
+  assert.deepStrictEqual(
+    events.map(([name, event]) => [name, event.blockNumber]),
+    [["payment", 11]]
+  );
+  assert.strictEqual(watcher.pendingPayments.length, 1);
+
+  // Blocks 11 and 12 are replaced and the payment is included one block later
+  provider.setBlock(11, "b");
+  provider.setBlock(12, "b", [log]);
+  events.length = 0;
+  await watcher.processBlock(12);
+  assert.deepStrictEqual(
+    events.map(([name, event]) => [name, event.blockNumber]),
+    [
+      ["reorg", 11],
+      ["payment", 12],
+    ]
+  );
+  const [, reorg] = events[0];
+  assert.deepStrictEqual(
+    reorg.payments.map(({ blockNumber, blockHash }) => [
+      blockNumber,
+      blockHash,
+    ]),
+    [[11, id("a:11")]]
+  );
+  assert.strictEqual(events[1][1].blockHash, id("b:12"));
+
+  events.length = 0;
+  provider.setBlock(13, "b");
+  await watcher.processBlock(13);
+  assert.deepStrictEqual(events, []);
+  provider.setBlock(14, "b");
+  await watcher.processBlock(14);
+  assert.deepStrictEqual(
+    events.map(([name, event]) => [name, event.blockNumber]),
+    [["confirmed", 12]]
+  );
+  assert.deepStrictEqual(watcher.pendingPayments, []);
+});
+
+test("StealthPaymentWatcher confirms payments immediately with zero confirmations", async () => {
+  const provider = createChainProvider();
+  provider.setBlock(10, "a", [await createLog()]);
+  const { watcher, events } = createWatcher(provider, {
+    startBlock: 10,
+    confirmations: 0,
+  });
+  assert.strictEqual(watcher.confirmations, 0);
+  await watcher.start();
+
+  await watcher.processBlock(10);
+  assert.deepStrictEqual(
+    events.map(([name]) => name),
+    ["payment", "confirmed"]
+  );
+  assert.strictEqual(
+    createWatcher(provider, { startBlock: 10 }).watcher.confirmations,
+    12
+  );
+});
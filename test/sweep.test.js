@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Interface, Transaction, getAddress } = require("ethers");
+const { KeyPair, ProviderError, prepareSweep } = require("..");
+
+const spendingPrivateKey = "0x" + "11".repeat(32);
+const randomNumber = "0x" + "22".repeat(32);
+const stealthAddress = new KeyPair(
+  KeyPair.computeStealthPrivateKey(spendingPrivateKey, randomNumber)
+).address;
+const destination = "0x" + "33".repeat(20);
+const token = "0x" + "ab".repeat(20);
+const tokenInterface = new Interface([
+  "function balanceOf(address owner) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+]);
+const gwei = 1000000000n;
+
+/**
+ * @notice Returns a provider for a stealth address holding balance wei and tokenBalance of the token
+ */
+const createProvider = (options = {}) => {
+  const {
+    balance = 10n ** 18n,
+    tokenBalance = 0n,
+    baseFeePerGas = 20n * gwei,
+    feeData = {
+      gasPrice: 22n * gwei,
+      maxFeePerGas: 42n * gwei,
+      maxPriorityFeePerGas: 2n * gwei,
+    },
+  } = options;
+  return {
+    getNetwork: async () => ({ chainId: 1n }),
+    getFeeData: async () => feeData,
+    getBlock: async () => ({ number: 100, baseFeePerGas }),
+    getTransactionCount: async () => 7,
+    getBalance: async () => balance,
+    getCode: async () => "0x",
+    estimateGas: async () => 50000n,
+    call: async () =>
+      tokenInterface.encodeFunctionResult("balanceOf", [tokenBalance]),
+  };
+};
+
+/**
+ * @notice Returns the signed transactions of a sweep, parsed
+ */
+const parse = (sweep) =>
+  sweep.transactions.map(({ signedTransaction }) =>
+    Transaction.from(signedTransaction)
+  );
+
+test("an ETH sweep pays the base fee plus the priority fee and leaves no dust", async () => {
+  const balance = 10n ** 18n + 12345n;
+  const sweep = await prepareSweep(
+    spendingPrivateKey,
+    randomNumber,
+    destination,
+    createProvider({ balance })
+  );
+  assert.strictEqual(sweep.stealthAddress, stealthAddress);
+
+  const [tx] = parse(sweep);
+  const price = 22n * gwei;
+  assert.strictEqual(tx.from, stealthAddress);
+  assert.strictEqual(tx.nonce, 7);
+  assert.strictEqual(tx.maxFeePerGas, price);
+  assert.strictEqual(tx.maxPriorityFeePerGas, price);
+  assert.strictEqual(tx.gasLimit, 21000n);
+  // The effective price is min(maxFeePerGas, baseFee + maxPriorityFeePerGas), always the max fee
+  assert.strictEqual(tx.value + tx.gasLimit * price, balance);
+  assert.strictEqual(sweep.transactions[0].maxCost, 21000n * price);
+});
+
+test("exact fees use the gas price on legacy networks and fail without a price", async () => {
+  const legacy = { gasPrice: 5n * gwei, maxFeePerGas: null };
+  const [tx] = parse(
+    await prepareSweep(
+      spendingPrivateKey,
+      randomNumber,
+      destination,
+      createProvider({ balance: 10n ** 18n, feeData: legacy })
+    )
+  );
+  assert.strictEqual(tx.type, 0);
+  assert.strictEqual(tx.value + 21000n * 5n * gwei, 10n ** 18n);
+
+  await assert.rejects(
+    prepareSweep(
+      spendingPrivateKey,
+      randomNumber,
+      destination,
+      createProvider({ baseFeePerGas: null })
+    ),
+    (e) => e instanceof ProviderError && e.retryable === false
+  );
+  await assert.rejects(
+    prepareSweep(
+      spendingPrivateKey,
+      randomNumber,
+      destination,
+      createProvider({ feeData: { gasPrice: null, maxFeePerGas: null } })
+    ),
+    ProviderError
+  );
+});
+
+test("a token sweep transfers the tokens first and reserves their gas", async () => {
+  const balance = 10n ** 18n;
+  const sweep = await prepareSweep(
+    spendingPrivateKey,
+    randomNumber,
+    destination,
+    createProvider({ balance, tokenBalance: 500n }),
+    { tokens: [token] }
+  );
+  assert.deepStrictEqual(
+    sweep.transactions.map(({ type }) => type),
+    ["erc20", "eth"]
+  );
+
+  const [transfer, eth] = parse(sweep);
+  assert.strictEqual(transfer.to.toLowerCase(), token);
+  assert.strictEqual(transfer.nonce, 7);
+  assert.strictEqual(transfer.maxFeePerGas, 42n * gwei);
+  assert.strictEqual(transfer.maxPriorityFeePerGas, 2n * gwei);
+  assert.deepStrictEqual(
+    [...tokenInterface.decodeFunctionData("transfer", transfer.data)],
+    [getAddress(destination), 500n]
+  );
+
+  assert.strictEqual(eth.nonce, 8);
+  assert.strictEqual(
+    eth.value,
+    balance - 50000n * 42n * gwei - 21000n * 22n * gwei
+  );
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const {
+  computeAddress,
+  hexlify,
+  keccak256,
+  sha256,
+  toBeHex,
+} = require("ethers");
+const { KeyPair, testVectors, verifyTestVectors } = require("..");
+const { checkAnnouncement } = require("../utils/Transaction");
+
+// Generated with umbra-js 0.2.1 (npm @umbracash/umbra-js): generatePrivateKeys on the signature of the wallet
+// with private key keccak256("umbra-js vector wallet"), then encrypt and mulPublicKey with the random number
+// and ephemeral private key keccak256("umbra-js vector random number") and ("umbra-js vector ephemeral key").
+// Umbra has no view tag
+const umbraJsVector = {
+  signature:
+    "0x3b1015e96c7c47cf59a8cfa9f38d09e0f92de779a1dfef4818c585b8d5f3b44c74ab587b411c051214b463abc3e6ee227233f9e882120fb79e4e422d409ea1c41c",
+  spendingPrivateKey:
+    "0xa60f2ae3aa03d9d7aea95e4985d626afce6bce1caa4cea864e24fc40bd6cffe5",
+  spendingPublicKey:
+    "0x0479b66030fc6e450fe63a21446693033f8d83956e08102ac1e2330f9abfe65ed57ffc1e90feb63a30fa1e14bf938916ab9c96c706bdd5c993938a272d2ff2de38",
+  viewingPrivateKey:
+    "0x11c88fa75f634a6faa0c69e75387d2ed3af475f4bd97a4a36ed083683d8e23dc",
+  viewingPublicKey:
+    "0x047d853b515311e7c3f1eb11a2d44b53009d02106f87ce08d84dc524f4dd272d5e30e7e18a616a8a78a080a85422843494c03561770bba01df48466c9b6ab7066b",
+  randomNumber:
+    "0x158f4ec0684fa575322d6e48d675add340a7312f002606c24bb24a982d674498",
+  ephemeralPrivateKey:
+    "0x0008223bbbd15782c9a8b076ef0aeb971ee1359b7692698e38f1e2f6f6c52fd4",
+  ephemeralPublicKey:
+    "0x02af686d3cb9c378b7f80937ab8f469035f9aee6fdc093ccad39937c20f5633829",
+  pkx: "0xaf686d3cb9c378b7f80937ab8f469035f9aee6fdc093ccad39937c20f5633829",
+  ciphertext:
+    "0xdad767de41c5f9c7d55aa50b3d67b72741a9185bea9d1dcbebfd4b6e997ecbf4",
+  stealthAddress: "0x900fAbA5e3F8c9cF251da752f51fB12A67a47357",
+  stealthPrivateKey:
+    "0x38ed28131d66d57ed09c7fe3c0d1b4785fa08e7825a8de8650b5fe2723a113d7",
+};
+
+test("the SDK reproduces every test vector", async () => {
+  const { passed, results } = await verifyTestVectors();
+  assert.deepStrictEqual(
+    results.filter((result) => !result.passed),
+    []
+  );
+  assert.strictEqual(passed, true);
+});
+
+test("a tampered vector fails", async () => {
+  const vector = {
+    ...testVectors[0],
+    stealthAddress: testVectors[1].stealthAddress,
+  };
+  const { passed, results } = await verifyTestVectors([vector]);
+  assert.strictEqual(passed, false);
+  assert.ok(results[0].failures.includes("stealthAddress"));
+});
+
+test("a wrong viewing key does not match the announcement", async () => {
+  for (const [index, vector] of testVectors.entries()) {
+    const other = testVectors[(index + 1) % testVectors.length];
+    const { isForUser } = await checkAnnouncement(
+      {
+        pkx: vector.pkx,
+        ciphertext: vector.ciphertext,
+        receiver: vector.stealthAddress,
+      },
+      new KeyPair(other.viewingPrivateKey),
+      new KeyPair(vector.spendingPublicKey)
+    );
+    assert.strictEqual(isForUser, false);
+  }
+});
+
+test("the SDK reproduces a vector generated with umbra-js", async () => {
+  const { passed, results } = await verifyTestVectors([umbraJsVector]);
+  assert.deepStrictEqual(results[0].failures, []);
+  assert.strictEqual(passed, true);
+});
+
+// Recomputes the shipped vectors with @noble/curves directly instead of the SDK's KeyPair
+test("the shipped vectors match a direct @noble/curves computation", () => {
+  for (const vector of testVectors) {
+    const r = `0x${vector.signature.slice(2, 66)}`;
+    const s = `0x${vector.signature.slice(66, 130)}`;
+    assert.strictEqual(sha256(r), vector.spendingPrivateKey);
+    assert.strictEqual(sha256(s), vector.viewingPrivateKey);
+
+    const sharedSecret = hexlify(
+      secp256k1.getSharedSecret(
+        vector.ephemeralPrivateKey.slice(2),
+        vector.viewingPublicKey.slice(2),
+        true
+      )
+    );
+    // EIP-5564 view tag: the first byte of the hashed compressed shared point
+    assert.strictEqual(keccak256(sharedSecret).slice(0, 4), vector.viewTag);
+    const key = BigInt(sha256(`0x${sharedSecret.slice(4)}`));
+    assert.strictEqual(
+      toBeHex(BigInt(vector.randomNumber) ^ key, 32),
+      vector.ciphertext
+    );
+
+    const stealthPrivateKey =
+      (BigInt(vector.spendingPrivateKey) * BigInt(vector.randomNumber)) %
+      secp256k1.CURVE.n;
+    assert.strictEqual(
+      computeAddress(toBeHex(stealthPrivateKey, 32)),
+      vector.stealthAddress
+    );
+  }
+});
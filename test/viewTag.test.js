@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { toBeHex } = require("ethers");
+const {
+  KeyPair,
+  encodeStealthMetaAddress,
+  normalizeAnnouncement,
+  prepareSend,
+} = require("..");
+const { checkAnnouncement } = require("../utils/Transaction");
+
+const spendingKeyPair = new KeyPair("0x" + "11".repeat(32));
+const viewingKeyPair = new KeyPair("0x" + "22".repeat(32));
+
+/**
+ * @notice Returns a viewing key pair counting its ECDH operations
+ */
+const countingKeyPair = () => {
+  const keyPair = new KeyPair(viewingKeyPair.privateKeyHex);
+  keyPair.ecdhCount = 0;
+  const getSharedSecrets = keyPair.getSharedSecrets.bind(keyPair);
+  keyPair.getSharedSecrets = (...args) => {
+    keyPair.ecdhCount++;
+    return getSharedSecrets(...args);
+  };
+  return keyPair;
+};
+
+test("announcements with a different view tag are rejected after one ECDH", async () => {
+  const payment = await prepareSend(
+    encodeStealthMetaAddress(
+      spendingKeyPair.publicKeyHex,
+      viewingKeyPair.publicKeyHex
+    )
+  );
+  const announcement = {
+    pkx: payment.pubKeyXCoordinate,
+    ciphertext: payment.encrypted.ciphertext,
+    receiver: payment.stealthKeyPair.address,
+  };
+  assert.match(payment.viewTag, /^0x[0-9a-f]{2}$/);
+
+  const matching = countingKeyPair();
+  const match = await checkAnnouncement(
+    { ...announcement, viewTag: payment.viewTag },
+    matching,
+    spendingKeyPair
+  );
+  assert.strictEqual(match.isForUser, true);
+  assert.strictEqual(matching.ecdhCount, 1);
+
+  // Announcements only carry pkx, so the tag of the negated shared point is accepted too
+  const { sharedPoint } = await viewingKeyPair.getSharedSecrets(
+    viewingKeyPair.privateKeyHex,
+    KeyPair.getUncompressedFromX(announcement.pkx)
+  );
+  const otherTag = [...Array(256).keys()]
+    .map((tag) => toBeHex(tag, 1))
+    .find((tag) => !KeyPair.viewTagMatchesPoint(sharedPoint, tag));
+  const mismatching = countingKeyPair();
+  const mismatch = await checkAnnouncement(
+    { ...announcement, viewTag: otherTag },
+    mismatching,
+    spendingKeyPair
+  );
+  assert.deepStrictEqual(mismatch, {
+    isForUser: false,
+    stealthAddress: "",
+    randomNumber: "",
+  });
+  assert.strictEqual(mismatching.ecdhCount, 1);
+  assert.strictEqual(
+    await viewingKeyPair.matchesViewTag(
+      KeyPair.getUncompressedFromX(announcement.pkx),
+      otherTag
+    ),
+    false
+  );
+
+  // Without a tag the announcement is checked in full
+  const untagged = await checkAnnouncement(
+    announcement,
+    viewingKeyPair,
+    spendingKeyPair
+  );
+  assert.strictEqual(untagged.isForUser, true);
+});
+
+test("the view tag is read from ERC-5564 metadata", () => {
+  const record = {
+    receiver: "0x" + "ab".repeat(20),
+    tokenAddress: "0x" + "cd".repeat(20),
+    amount: "1",
+    pkx: "0x01",
+    ciphertext: "0x02",
+  };
+  assert.strictEqual(
+    normalizeAnnouncement({ ...record, metadata: "0x7bcafe" }).viewTag,
+    "0x7b"
+  );
+  assert.strictEqual(
+    normalizeAnnouncement({ ...record, metadata: "0x7b", viewTag: "0x01" })
+      .viewTag,
+    "0x01"
+  );
+  assert.strictEqual(
+    normalizeAnnouncement({ ...record, metadata: "0x" }).viewTag,
+    undefined
+  );
+});
@@ -1,7 +1,18 @@
-const StealthKeyRegistry = require("../classes/StealthKeyRegistry");
 const KeyPair = require("../classes/KeyPair");
 const RandomNumber = require("../classes/RandomNumber");
-const { sha256 } = require("ethers");
+const { HDNodeWallet, Mnemonic, sha256 } = require("ethers");
+const {
+  isStealthMetaAddress,
+  parseStealthMetaAddress,
+} = require("./metaAddress");
+const { lookupStealthKeys } = require("./keyDirectory");
+const { decryptMemo } = require("./memo");
+const {
+  InvalidArgumentError,
+  InvalidKeyError,
+  StealthError,
+  UnregisteredRecipientError,
+} = require("./errors");
 
 const generateKeyPair = async (signature) => {
   // Split hex string signature into two 32 byte chunks
@@ -12,7 +23,7 @@ const generateKeyPair = async (signature) => {
   const v = signature.slice(signature.length - 2);
 
   if (`0x${r}${s}${v}` !== signature) {
-    throw new Error("Signature incorrectly generated or parsed");
+    throw new InvalidKeyError("Signature incorrectly generated or parsed");
   }
 
   const spendingPrivateKey = sha256(`0x${r}`);
@@ -23,27 +34,106 @@ const generateKeyPair = async (signature) => {
   return { spendingKeyPair, viewingKeyPair };
 };
 
-async function prepareSend(recipientId, provider) {
+/**
+ * @notice Returns the BIP-32 derivation paths of the stealth keys for an identity index
+ * @dev Uses its own purpose (5564') so the keys never collide with the account keys of a wallet
+ * using the same seed, and hardens every level so a leaked viewing key can't be combined with
+ * an extended public key to recover the spending key
+ * @param index Identity index, e.g. 0 for personal and 1 for business
+ */
+const getStealthKeyPaths = (index = 0) => ({
+  spendingPath: `m/5564'/60'/${index}'/0'`,
+  viewingPath: `m/5564'/60'/${index}'/1'`,
+});
+
+/**
+ * @notice Derives a stealth identity from a BIP-32 seed
+ * @param seed BIP-32 seed as hex string or bytes (16 to 64 bytes)
+ * @param index Identity index, each index gives independent keys
+ * @returns Spending and viewing KeyPair instances, same shape as generateKeyPair
+ */
+const generateKeyPairFromSeed = async (seed, index = 0) => {
+  if (!Number.isInteger(index) || index < 0 || index >= 2 ** 31) {
+    throw new InvalidArgumentError(
+      "Index must be an integer between 0 and 2^31 - 1"
+    );
+  }
+  let root;
+  try {
+    root = HDNodeWallet.fromSeed(seed);
+  } catch (e) {
+    throw new InvalidKeyError(`Invalid seed: ${e.message}`, { cause: e });
+  }
+  const { spendingPath, viewingPath } = getStealthKeyPaths(index);
+
+  const spendingKeyPair = new KeyPair(root.derivePath(spendingPath).privateKey);
+  const viewingKeyPair = new KeyPair(root.derivePath(viewingPath).privateKey);
+  return { spendingKeyPair, viewingKeyPair };
+};
+
+/**
+ * @notice Derives a stealth identity from a BIP-39 mnemonic
+ * @dev Lets one seed phrase restore several independent identities without re-signing with the wallet
+ * @param phrase BIP-39 mnemonic phrase
+ * @param index Identity index, each index gives independent keys
+ * @param password Optional BIP-39 passphrase
+ * @returns Spending and viewing KeyPair instances, same shape as generateKeyPair
+ */
+const generateKeyPairFromMnemonic = async (
+  phrase,
+  index = 0,
+  password = ""
+) => {
+  const seed = Mnemonic.fromPhrase(phrase, password).computeSeed();
+  return generateKeyPairFromSeed(seed, index);
+};
+
+/**
+ * @notice Resolves a recipient's public keys from a stealth meta-address or, see lookupStealthKeys,
+ * an ENS text record or the key directory
+ */
+async function getRecipientKeys(recipientId, provider, config = {}) {
+  // Stealth meta-addresses carry the keys themselves, no lookup needed
+  if (isStealthMetaAddress(recipientId)) {
+    return parseStealthMetaAddress(recipientId);
+  }
+
   // Lookup recipient's public key
-  const registry = new StealthKeyRegistry(provider);
+  return lookupStealthKeys(recipientId, provider, config);
+}
 
-  const { spendingPublicKey, viewingPublicKey } = await registry.getStealthKeys(
-    recipientId
+/**
+ * @notice Generates a stealth address for a recipient and encrypts the random number for them
+ * @param recipientId Recipient's registered address, ENS name or EIP-5564 stealth meta-address
+ * @param provider ethers provider used for the registry lookup, unused for stealth meta-addresses or
+ * when a keyDirectory is given
+ * @param options Optional keyDirectory to look the recipient up in instead of the on-chain registry,
+ * registry address and registryAbi overriding the chain config, and a memo to encrypt for the recipient.
+ * For reproducible tests, a randomNumber (RandomNumber instance) and ephemeralPrivateKey to use, or a
+ * randomSource function to draw both from, see RandomNumber and KeyPair.encrypt
+ */
+async function prepareSend(recipientId, provider, options = {}) {
+  const { spendingPublicKey, viewingPublicKey } = await getRecipientKeys(
+    recipientId,
+    provider,
+    options
   );
   if (!spendingPublicKey || !viewingPublicKey) {
-    throw new Error(
-      `Could not retrieve public keys for recipient ID ${recipientId}`
-    );
+    throw new UnregisteredRecipientError(recipientId);
   }
 
   const spendingKeyPair = new KeyPair(spendingPublicKey);
   const viewingKeyPair = new KeyPair(viewingPublicKey);
 
   // Generate random number
-  const randomNumber = new RandomNumber();
+  const randomNumber =
+    options.randomNumber || new RandomNumber(32, options.randomSource);
 
   // Encrypt random number with recipient's public key
-  const encrypted = await viewingKeyPair.encrypt(randomNumber);
+  const encrypted = await viewingKeyPair.encrypt(randomNumber, options.memo, {
+    ephemeralPrivateKey: options.ephemeralPrivateKey,
+    randomSource: options.randomSource,
+  });
 
   // Get x,y coordinates of ephemeral private key
   const { pubKeyXCoordinate } = KeyPair.compressPublicKey(
@@ -53,57 +143,147 @@ async function prepareSend(recipientId, provider) {
   // Compute stealth address
   const stealthKeyPair = spendingKeyPair.mulPublicKey(randomNumber);
 
-  return { stealthKeyPair, pubKeyXCoordinate, encrypted };
+  return {
+    stealthKeyPair,
+    pubKeyXCoordinate,
+    encrypted,
+    viewTag: encrypted.viewTag,
+    memo: encrypted.memo,
+  };
 }
 
-async function IsUsersFunds(
+/**
+ * @notice Checks whether an announcement belongs to a recipient
+ * @param announcement Announcement containing pkx, ciphertext, receiver and optionally the viewTag and memo
+ * @param viewingKeyPair KeyPair instance holding the recipient's viewing private key
+ * @param spendingKeyPair KeyPair instance holding the recipient's spending public key
+ * @returns Whether the announcement is for the recipient, the computed stealth address and the decrypted random number,
+ * plus the decrypted memo when the announcement carries one (empty string if it fails authentication)
+ */
+async function checkAnnouncement(
   announcement,
-  provider,
-  viewingPrivateKey, //Users viewprivatekey
-  sender //user
+  viewingKeyPair,
+  spendingKeyPair
 ) {
-  try {
-    const { pkx, ciphertext, receiver, tokenAddress, amount } = announcement;
+  const { pkx, ciphertext, receiver, viewTag, memo } = announcement;
 
-    const uncompressedPubKey = KeyPair.getUncompressedFromX(pkx);
+  const uncompressedPubKey = KeyPair.getUncompressedFromX(pkx);
+  if (!viewingKeyPair.privateKeyHex) {
+    throw new InvalidKeyError("The viewing key pair has no private key");
+  }
 
-    const payload = { ephemeralPublicKey: uncompressedPubKey, ciphertext };
-    const viewkey = new KeyPair(viewingPrivateKey);
-    const randomNumber = await viewkey.decrypt(payload);
+  // One ECDH gives both the view tag and the decryption key
+  const secrets = await viewingKeyPair.getSharedSecrets(
+    viewingKeyPair.privateKeyHex,
+    uncompressedPubKey
+  );
 
-    const registry = new StealthKeyRegistry(provider);
-    const { spendingPublicKey } = await registry.getStealthKeys(sender);
+  // Announcements carrying a view tag can be discarded before the expensive part of the check
+  if (
+    viewTag !== undefined &&
+    viewTag !== null &&
+    viewTag !== "" &&
+    !KeyPair.viewTagMatchesPoint(secrets.sharedPoint, viewTag)
+  ) {
+    return { isForUser: false, stealthAddress: "", randomNumber: "" };
+  }
 
-    // Hash(s * r) to get the stealth address
-    const spendingkey = new KeyPair(spendingPublicKey);
+  const randomNumber = await viewingKeyPair.decrypt({
+    ephemeralPublicKey: uncompressedPubKey,
+    ciphertext,
+    sharedSecret: secrets.sharedSecret,
+  });
+
+  // Hash(s * r) to get the stealth address
+  const stealthAddress = spendingKeyPair.mulPublicKey(randomNumber).address;
+  const isForUser = stealthAddress.toLowerCase() == receiver.toLowerCase();
+
+  const result = { isForUser, stealthAddress, randomNumber };
+  if (isForUser && memo) {
+    // A memo that fails authentication is dropped, the payment itself is still the user's
+    try {
+      result.memo = decryptMemo(secrets.sharedSecret, memo);
+    } catch (e) {
+      result.memo = "";
+    }
+  }
+  return result;
+}
+
+/**
+ * @notice Checks whether an announcement belongs to a user, looking their spending key up by account
+ * @dev Never throws. status tells a definite answer ("match" or "no-match") apart from a check that
+ * could not be completed ("failed"), in which case error holds the typed error and retryable is true
+ * if the same check may succeed later (e.g. the RPC was down)
+ * @param announcement Announcement containing pkx, ciphertext, receiver, tokenAddress, amount and
+ * optionally the viewTag and memo
+ * @param provider ethers provider used for the key directory lookup
+ * @param viewingPrivateKey User's viewing private key
+ * @param sender User's address or ENS name
+ * @param config Optional keyDirectory, or registry and registryAbi overriding the chain config
+ * @returns Object with status, isForUser, retryable, the error if failed, and the announcement's
+ * ciphertext, ephemeralPubkey (pkx), tokenAddress, amountOrId and the computed stealthAddress. On a match
+ * it also holds the decrypted randomNumber, used to compute the stealth private key, and the memo
+ */
+async function IsUsersFunds(
+  announcement,
+  provider,
+  viewingPrivateKey,
+  sender,
+  config = {}
+) {
+  try {
+    const { pkx, ciphertext, tokenAddress, amount } = announcement;
+
+    const { spendingPublicKey } = await lookupStealthKeys(
+      sender,
+      provider,
+      config
+    );
+    if (!spendingPublicKey) throw new UnregisteredRecipientError(sender);
 
-    const computedReceivingAddress =
-      spendingkey.mulPublicKey(randomNumber).address;
+    const { isForUser, stealthAddress, randomNumber, memo } =
+      await checkAnnouncement(
+        announcement,
+        new KeyPair(viewingPrivateKey),
+        new KeyPair(spendingPublicKey)
+      );
 
     return {
-      isForUser: computedReceivingAddress == receiver,
-      randomNumber: ciphertext,
+      status: isForUser ? "match" : "no-match",
+      isForUser,
+      retryable: false,
+      randomNumber: isForUser ? randomNumber : "",
+      ciphertext,
       ephemeralPubkey: pkx,
-      stealthAddress: computedReceivingAddress,
+      stealthAddress,
       tokenAddress: tokenAddress,
-      businessTokenAddress: businessTokenAddress,
-      amountOrId: amount.toString(),
+      amountOrId: amount !== undefined ? amount.toString() : "",
+      memo: memo || "",
     };
   } catch (e) {
     return {
+      status: "failed",
       isForUser: false,
+      retryable: e instanceof StealthError && e.retryable,
+      error: e,
       randomNumber: "",
+      ciphertext: "",
       ephemeralPubkey: "",
       tokenAddress: "",
       stealthAddress: "",
-      businessTokenAddress: "",
       amountOrId: "",
+      memo: "",
     };
   }
 }
 
 module.exports = {
   generateKeyPair,
+  generateKeyPairFromSeed,
+  generateKeyPairFromMnemonic,
+  getStealthKeyPaths,
   prepareSend,
   IsUsersFunds,
+  checkAnnouncement,
 };
@@ -0,0 +1,120 @@
+const {
+  Interface,
+  getAddress,
+  isAddress,
+  isHexString,
+  toBeHex,
+} = require("ethers");
+
+const announcementAbi = [
+  'event Announcement(address indexed receiver, uint256 amount, address indexed tokenAddress, bytes32 pkx, bytes32 ciphertext)',
+]; //prettier-ignore
+
+const announcementInterface = new Interface(announcementAbi);
+
+module.exports.announcementAbi = announcementAbi;
+
+module.exports.announcementInterface = announcementInterface;
+
+/**
+ * @notice Topic hash of the Announcement event, used to filter logs
+ */
+module.exports.announcementTopic =
+  announcementInterface.getEvent("Announcement").topicHash;
+
+/**
+ * @notice Decodes a raw Announcement log into the announcement shape used by IsUsersFunds
+ * @param {Object} log Log as returned by provider.getLogs
+ * @returns Announcement fields together with the block and transaction the log came from
+ */
+module.exports.parseAnnouncementLog = (log) => {
+  const { args } = announcementInterface.parseLog(log);
+  return {
+    receiver: getAddress(args.receiver),
+    amount: args.amount,
+    tokenAddress: getAddress(args.tokenAddress),
+    pkx: args.pkx,
+    ciphertext: args.ciphertext,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+};
+
+/**
+ * @notice Returns a 32 byte field (pkx or ciphertext) as a 0x prefixed hex string
+ */
+const toBytes32 = (value, field) => {
+  if (value === undefined || value === null || value === "") {
+    throw new Error(`Announcement is missing ${field}`);
+  }
+  try {
+    return toBeHex(BigInt(value.toString()), 32);
+  } catch (e) {
+    throw new Error(`Announcement ${field} is not a 32 byte value: ${value}`);
+  }
+};
+
+/**
+ * @notice Normalizes an announcement record from any source into the announcement shape used by IsUsersFunds
+ * @dev Accepts the field names of the Announcement event as well as common indexer names: token (address
+ * or { id } entity) for tokenAddress, amountOrId or value for amount, block for blockNumber and txHash for
+ * transactionHash. pkx and ciphertext may be hex (with or without leading zeroes) or decimal. Without a
+ * viewTag, the first byte of an ERC-5564 metadata field is used as the view tag
+ * @param {Object} record Announcement as returned by a log, subgraph or JSON export
+ * @returns Announcement with checksum receiver and tokenAddress, BigInt amount, 32 byte hex pkx and
+ * ciphertext, and the block, transaction, view tag and memo fields that were present
+ */
+module.exports.normalizeAnnouncement = (record) => {
+  const pick = (...names) =>
+    names.map((name) => record[name]).find((value) => value != null);
+
+  const receiver = pick("receiver");
+  if (!receiver || !isAddress(receiver)) {
+    throw new Error(`Invalid announcement receiver ${receiver}`);
+  }
+  let tokenAddress = pick("tokenAddress", "token");
+  if (tokenAddress && typeof tokenAddress === "object") {
+    tokenAddress = tokenAddress.id;
+  }
+  if (!tokenAddress || !isAddress(tokenAddress)) {
+    throw new Error(`Invalid announcement token ${tokenAddress}`);
+  }
+  const amount = pick("amount", "amountOrId", "value");
+  if (amount === undefined || !/^(0x[0-9a-fA-F]+|[0-9]+)$/.test(`${amount}`)) {
+    throw new Error(`Invalid announcement amount ${amount}`);
+  }
+
+  const announcement = {
+    receiver: getAddress(receiver),
+    amount: BigInt(amount.toString()),
+    tokenAddress: getAddress(tokenAddress),
+    pkx: toBytes32(record.pkx, "pkx"),
+    ciphertext: toBytes32(record.ciphertext, "ciphertext"),
+  };
+
+  const blockNumber = pick("blockNumber", "block");
+  if (blockNumber !== undefined) announcement.blockNumber = Number(blockNumber);
+  const optional = {
+    blockHash: pick("blockHash"),
+    transactionHash: pick("transactionHash", "txHash"),
+    logIndex: pick("logIndex", "index"),
+    viewTag: pick("viewTag"),
+    memo: pick("memo"),
+  };
+  // ERC-5564 announcements carry the view tag as the first byte of their metadata
+  const metadata = pick("metadata");
+  if (
+    optional.viewTag === undefined &&
+    isHexString(metadata) &&
+    metadata.length >= 4
+  ) {
+    optional.viewTag = metadata.slice(0, 4);
+  }
+  for (const [field, value] of Object.entries(optional)) {
+    if (value === undefined) continue;
+    announcement[field] = field === "logIndex" ? Number(value) : value;
+  }
+  return announcement;
+};
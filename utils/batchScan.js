@@ -0,0 +1,216 @@
+const KeyPair = require("../classes/KeyPair");
+const { checkAnnouncement } = require("./Transaction");
+const { lookupStealthKeys } = require("./keyDirectory");
+const {
+  ConfigurationError,
+  InvalidArgumentError,
+  StealthError,
+} = require("./errors");
+
+/**
+ * @notice Checks every announcement of a chunk against every recipient
+ * @dev Runs inside the worker threads, and in the calling thread when workers is 0. Announcements and
+ * recipients must be structured-clone friendly, see scanBatch
+ * @param announcements Array of { index, pkx, ciphertext, receiver, viewTag, memo }
+ * @param recipients Array of { index, viewingPrivateKey, spendingPublicKey }
+ * @returns Matches as announcement and recipient indexes, and check counts
+ */
+const checkChunk = async (announcements, recipients) => {
+  const keyPairs = recipients.map((recipient) => ({
+    index: recipient.index,
+    viewingKeyPair: new KeyPair(recipient.viewingPrivateKey),
+    spendingKeyPair: new KeyPair(recipient.spendingPublicKey),
+  }));
+
+  const matches = [];
+  let checks = 0;
+  let failed = 0;
+  for (const announcement of announcements) {
+    for (const { index, viewingKeyPair, spendingKeyPair } of keyPairs) {
+      checks++;
+      try {
+        const { isForUser, stealthAddress, randomNumber, memo } =
+          await checkAnnouncement(
+            announcement,
+            viewingKeyPair,
+            spendingKeyPair
+          );
+        if (!isForUser) continue;
+        matches.push({
+          announcementIndex: announcement.index,
+          recipientIndex: index,
+          stealthAddress,
+          randomNumber,
+          memo,
+        });
+      } catch (e) {
+        failed++;
+      }
+    }
+  }
+  return { matches, checks, failed };
+};
+
+/**
+ * @notice Runs one chunk in a worker thread
+ * @dev Node modules are required here rather than at the top so the SDK still bundles for browsers.
+ * A worker that throws or exits early rejects with a StealthError, the worker's error as cause
+ */
+const runWorker = (announcements, recipients) =>
+  new Promise((resolve, reject) => {
+    const path = require("path");
+    const { Worker } = require("worker_threads");
+    const worker = new Worker(path.join(__dirname, "batchScanWorker.js"), {
+      workerData: { announcements, recipients },
+    });
+    worker.once("message", resolve);
+    worker.once("error", (e) =>
+      reject(new StealthError(`Scan worker failed: ${e.message}`, { cause: e }))
+    );
+    worker.once("exit", (code) => {
+      if (code !== 0) {
+        reject(new StealthError(`Scan worker exited with code ${code}`));
+      }
+    });
+  });
+
+/**
+ * @notice Checks a batch of announcements against one or more recipients in parallel
+ * @dev Node only. The decrypt, mulPublicKey and address work is split across worker_threads, key directory
+ * lookups are made once per account in the calling thread. Announcements that fail the check (e.g. a
+ * pkx that is not on the curve) are counted as failed and skipped
+ * @param announcements Array of announcements with pkx, ciphertext, receiver and optionally viewTag
+ * @param recipients Array of { viewingPrivateKey } with either spendingPublicKey or account set
+ * @param options Optional provider used to look up accounts in the registry, or a keyDirectory to look
+ * them up in instead, registry and registryAbi overriding the chain config, and workers (defaults to one
+ * less than the number of CPUs, 0 runs in this thread)
+ * @returns Matches with the announcement and recipient they belong to, recipients whose keys could not
+ * be found, and throughput statistics. Throws InvalidArgumentError, before any lookup, if a recipient
+ * has no viewingPrivateKey or neither key nor account, and StealthError if a worker fails
+ */
+module.exports.scanBatch = async (announcements, recipients, options = {}) => {
+  const startedAt = Date.now();
+
+  // Resolve key directory lookups once per account
+  const canLookUp = Boolean(options.provider || options.keyDirectory);
+  const lookups = new Map();
+  const resolved = [];
+  const unresolved = [];
+  for (const [index, recipient] of recipients.entries()) {
+    if (!recipient || !recipient.viewingPrivateKey) {
+      throw new InvalidArgumentError(
+        `Recipient ${index} has no viewingPrivateKey`
+      );
+    }
+    if (!recipient.spendingPublicKey && !recipient.account) {
+      throw new InvalidArgumentError(
+        `Recipient ${index} needs either a spendingPublicKey or an account`
+      );
+    }
+  }
+
+  for (const [index, recipient] of recipients.entries()) {
+    let { spendingPublicKey } = recipient;
+    if (!spendingPublicKey) {
+      if (!canLookUp) {
+        throw new ConfigurationError(
+          "A provider or keyDirectory is required to look up recipient accounts"
+        );
+      }
+      const key = recipient.account.toLowerCase();
+      if (!lookups.has(key)) {
+        lookups.set(
+          key,
+          lookupStealthKeys(recipient.account, options.provider, options)
+        );
+      }
+      ({ spendingPublicKey } = await lookups.get(key));
+    }
+    if (!spendingPublicKey) {
+      unresolved.push(recipient.account);
+      continue;
+    }
+    resolved.push({
+      index,
+      viewingPrivateKey: recipient.viewingPrivateKey,
+      spendingPublicKey,
+    });
+  }
+
+  // Only send what the check needs, so any announcement shape can be cloned to the workers
+  const payloads = announcements.map((announcement, index) => ({
+    index,
+    pkx: announcement.pkx.toString(),
+    ciphertext: announcement.ciphertext,
+    receiver: announcement.receiver,
+    viewTag: announcement.viewTag,
+    memo: announcement.memo,
+  }));
+
+  let workers = options.workers;
+  if (workers === undefined) {
+    const os = require("os");
+    const cpus = os.availableParallelism
+      ? os.availableParallelism()
+      : os.cpus().length;
+    workers = Math.max(1, cpus - 1);
+  }
+  workers = Math.min(workers, payloads.length);
+
+  let results;
+  if (!workers || !resolved.length) {
+    results = [await checkChunk(payloads, resolved)];
+  } else {
+    const chunkSize = Math.ceil(payloads.length / workers);
+    const chunks = [];
+    for (let i = 0; i < payloads.length; i += chunkSize) {
+      chunks.push(payloads.slice(i, i + chunkSize));
+    }
+    results = await Promise.all(
+      chunks.map((chunk) => runWorker(chunk, resolved))
+    );
+  }
+
+  const matches = [];
+  let checks = 0;
+  let failed = 0;
+  for (const result of results) {
+    checks += result.checks;
+    failed += result.failed;
+    for (const match of result.matches) {
+      const announcement = announcements[match.announcementIndex];
+      const recipient = recipients[match.recipientIndex];
+      matches.push({
+        ...announcement,
+        recipientIndex: match.recipientIndex,
+        account: recipient.account,
+        stealthAddress: match.stealthAddress,
+        randomNumber: match.randomNumber,
+        memo: match.memo,
+        amountOrId:
+          announcement.amount !== undefined
+            ? announcement.amount.toString()
+            : "",
+      });
+    }
+  }
+
+  const durationMs = Date.now() - startedAt;
+  return {
+    matches,
+    unresolved,
+    stats: {
+      announcements: announcements.length,
+      recipients: resolved.length,
+      checks,
+      failed,
+      workers,
+      durationMs,
+      checksPerSecond: durationMs
+        ? Math.round((checks * 1000) / durationMs)
+        : checks,
+    },
+  };
+};
+
+module.exports.checkChunk = checkChunk;
@@ -0,0 +1,9 @@
+/**
+ * @notice Worker thread entry point for scanBatch
+ */
+const { parentPort, workerData } = require("worker_threads");
+const { checkChunk } = require("./batchScan");
+
+checkChunk(workerData.announcements, workerData.recipients).then((result) =>
+  parentPort.postMessage(result)
+);
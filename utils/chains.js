@@ -0,0 +1,94 @@
+/**
+ * @notice Per-chain contract configuration
+ * @dev The Umbra StealthKeyRegistry and Umbra contract are deployed at the same addresses on every
+ * supported chain. Chains not listed have no contracts and throw a ConfigurationError, rather than
+ * assuming Umbra is deployed there. Use setChainConfig to add a chain (e.g. a local Anvil/Hardhat
+ * deployment) or to point a chain at your own registry or announcer.
+ */
+const { ConfigurationError, withProvider } = require("./errors");
+
+const umbraRegistry = "0x31fe56609C65Cd0C510E7125f051D440424D38f3";
+const umbraAnnouncer = "0xFb2dc580Eed955B528407b4d36FfaFe3da685401";
+
+const registryAbi = [
+  'event StealthKeyChanged(address indexed registrant, uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey)',
+  'function setStealthKeys(uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey)',
+  'function setStealthKeysOnBehalf(address registrant, uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey, uint8 v, bytes32 r, bytes32 s)',
+  'function stealthKeys(address registrant) view returns (uint256 spendingPubKeyPrefix, uint256 spendingPubKey, uint256 viewingPubKeyPrefix, uint256 viewingPubKey)',
+]; //prettier-ignore
+
+const umbraAbi = [
+  'event Announcement(address indexed receiver, uint256 amount, address indexed token, bytes32 pkx, bytes32 ciphertext)',
+  'event TokenWithdrawal(address indexed receiver, address indexed acceptor, uint256 amount, address indexed token)',
+  'function toll() view returns (uint256)',
+  'function tokenPayments(address stealthAddress, address token) view returns (uint256)',
+  'function sendEth(address receiver, uint256 tollCommitment, bytes32 pkx, bytes32 ciphertext) payable',
+  'function sendToken(address receiver, address tokenAddr, uint256 amount, bytes32 pkx, bytes32 ciphertext) payable',
+  'function withdrawToken(address acceptor, address tokenAddr)',
+  'function withdrawTokenOnBehalf(address stealthAddr, address acceptor, address tokenAddr, address sponsor, uint256 sponsorFee, uint8 v, bytes32 r, bytes32 s)',
+]; //prettier-ignore
+
+// startBlock is the block the contracts were deployed at, log queries (e.g. key history) start there
+// prettier-ignore
+const chainConfigs = {
+  1: { name: "mainnet", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 12343914 },
+  10: { name: "optimism", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 4069556 },
+  100: { name: "gnosis", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 28237950 },
+  137: { name: "polygon", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 20717318 },
+  8453: { name: "base", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 10761374 },
+  42161: { name: "arbitrum", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 7285883 },
+  11155111: { name: "sepolia", registry: umbraRegistry, announcer: umbraAnnouncer, startBlock: 3590825 },
+};
+
+module.exports.registryAbi = registryAbi;
+
+module.exports.umbraAbi = umbraAbi;
+
+module.exports.chainConfigs = chainConfigs;
+
+/**
+ * @notice Adds a chain or overrides the contracts used on it
+ * @param {Number} chainId Chain ID to configure
+ * @param {Object} config Any of name, registry, announcer and startBlock
+ */
+module.exports.setChainConfig = (chainId, config) => {
+  chainConfigs[Number(chainId)] = {
+    ...chainConfigs[Number(chainId)],
+    ...config,
+  };
+};
+
+/**
+ * @notice Returns the contracts to use on a chain
+ * @dev Throws ConfigurationError when neither the chain config nor the overrides name a contract
+ * @param {Number} chainId Chain ID to look up
+ * @param {Object} overrides Optional registry and announcer addresses that take precedence
+ * @returns Object containing the chainId, registry and announcer addresses and the startBlock, if known
+ */
+module.exports.getChainConfig = (chainId, overrides = {}) => {
+  const config = { ...chainConfigs[Number(chainId)], chainId: Number(chainId) };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value) config[key] = value;
+  }
+  if (!config.registry && !config.announcer) {
+    throw new ConfigurationError(
+      `No contracts configured for chain ID ${chainId}, use setChainConfig or pass the addresses`
+    );
+  }
+  return config;
+};
+
+/**
+ * @notice Returns the contracts to use on the provider's network
+ * @dev The network is only queried when the overrides don't already name both contracts
+ * @param provider ethers provider or signer connected to a provider
+ * @param {Object} overrides Optional registry and announcer addresses that take precedence
+ */
+module.exports.resolveChainConfig = async (provider, overrides = {}) => {
+  if (overrides.registry && overrides.announcer) return { ...overrides };
+
+  const { chainId } = await withProvider("get the network", () =>
+    (provider.provider || provider).getNetwork()
+  );
+  return module.exports.getChainConfig(chainId, overrides);
+};
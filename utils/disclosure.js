@@ -0,0 +1,241 @@
+/**
+ * @notice Selective disclosure of a single stealth payment
+ * @dev A disclosure proves one announcement belongs to a user without revealing their viewing or
+ * spending private key. It carries the decrypted random number, which lets anyone recompute the
+ * stealth address as spendingPublicKey * randomNumber, and an EIP-191 signature by the stealth private
+ * key over a message binding the bundle's fields, which proves the user controls that address.
+ * Revealing the random number links this one payment to the spending key, other payments stay private.
+ *
+ * Bundle format (version 1):
+ * {
+ *   version: 1,
+ *   type: "shakesco-stealth-disclosure",
+ *   announcement: { receiver, pkx, ciphertext, transactionHash?, blockNumber? },
+ *   spendingPublicKey, randomNumber, stealthAddress, statement, issuedAt, signature
+ * }
+ */
+const { Wallet, verifyMessage } = require("ethers");
+const KeyPair = require("../classes/KeyPair");
+const { checkAnnouncement } = require("./Transaction");
+const { lookupStealthKeys } = require("./keyDirectory");
+const { announcementTopic, parseAnnouncementLog } = require("./announcements");
+const { InvalidArgumentError, withProvider } = require("./errors");
+
+const disclosureType = "shakesco-stealth-disclosure";
+const disclosureVersion = 1;
+
+/**
+ * @notice Builds the message signed by the stealth private key
+ */
+const getDisclosureMessage = (bundle) =>
+  [
+    "Stealth payment disclosure",
+    `Version: ${bundle.version}`,
+    `Stealth address: ${bundle.stealthAddress}`,
+    `Spending public key: ${bundle.spendingPublicKey}`,
+    `Random number: ${bundle.randomNumber}`,
+    `Ephemeral public key x: ${bundle.announcement.pkx}`,
+    `Ciphertext: ${bundle.announcement.ciphertext}`,
+    `Transaction: ${bundle.announcement.transactionHash || ""}`,
+    `Issued at: ${bundle.issuedAt}`,
+    `Statement: ${bundle.statement}`,
+  ].join("\n");
+
+/**
+ * @notice Checks that the bundle's announcement was emitted in its transaction
+ * @returns Reason the announcement does not match, or undefined if it was found
+ */
+const checkOnChainAnnouncement = async (bundle, provider, announcer) => {
+  const { transactionHash, receiver, pkx, ciphertext, blockNumber } =
+    bundle.announcement;
+  const receipt = await withProvider(
+    `get the receipt of transaction ${transactionHash}`,
+    () => provider.getTransactionReceipt(transactionHash)
+  );
+  if (!receipt) return `Transaction ${transactionHash} not found`;
+  if (blockNumber !== undefined && receipt.blockNumber !== blockNumber) {
+    return `Transaction ${transactionHash} is not in block ${blockNumber}`;
+  }
+
+  const found = receipt.logs.some((log) => {
+    if (log.topics[0] !== announcementTopic) return false;
+    if (announcer && log.address.toLowerCase() !== announcer.toLowerCase()) {
+      return false;
+    }
+    const announced = parseAnnouncementLog(log);
+    return (
+      announced.receiver.toLowerCase() === receiver.toLowerCase() &&
+      BigInt(announced.pkx) === BigInt(pkx) &&
+      BigInt(announced.ciphertext) === BigInt(ciphertext)
+    );
+  });
+  return found
+    ? undefined
+    : `Transaction ${transactionHash} has no matching Announcement event`;
+};
+
+/**
+ * @notice Creates a disclosure bundle for one announcement
+ * @param announcement Announcement containing pkx, ciphertext, receiver and optionally transactionHash
+ * and blockNumber
+ * @param {String} viewingPrivateKey Recipient's viewing private key, to decrypt the random number
+ * @param {String} spendingPrivateKey Recipient's spending private key, to sign with the stealth key
+ * @param {Object} options Optional statement to include in the signed message, e.g. the auditor's
+ * request ID
+ * @returns Disclosure bundle as plain object
+ */
+module.exports.createDisclosure = async (
+  announcement,
+  viewingPrivateKey,
+  spendingPrivateKey,
+  options = {}
+) => {
+  const spendingKeyPair = new KeyPair(spendingPrivateKey);
+  const { isForUser, stealthAddress, randomNumber } = await checkAnnouncement(
+    announcement,
+    new KeyPair(viewingPrivateKey),
+    spendingKeyPair
+  );
+  if (!isForUser) {
+    throw new InvalidArgumentError(
+      "Announcement does not belong to these keys"
+    );
+  }
+
+  const bundle = {
+    version: disclosureVersion,
+    type: disclosureType,
+    announcement: {
+      receiver: announcement.receiver,
+      pkx: announcement.pkx.toString(),
+      ciphertext: announcement.ciphertext,
+    },
+    spendingPublicKey: spendingKeyPair.publicKeyHex,
+    randomNumber,
+    stealthAddress,
+    statement: options.statement || "",
+    issuedAt: new Date().toISOString(),
+  };
+  if (announcement.transactionHash) {
+    bundle.announcement.transactionHash = announcement.transactionHash;
+  }
+  if (announcement.blockNumber !== undefined) {
+    bundle.announcement.blockNumber = Number(announcement.blockNumber);
+  }
+
+  const stealthPrivateKey = KeyPair.computeStealthPrivateKey(
+    spendingPrivateKey,
+    randomNumber
+  );
+  bundle.signature = await new Wallet(stealthPrivateKey).signMessage(
+    getDisclosureMessage(bundle)
+  );
+  return bundle;
+};
+
+/**
+ * @notice Verifies a disclosure bundle using only public data
+ * @dev Checks that spendingPublicKey * randomNumber is the stealth address, that it is the announcement's
+ * receiver and that the stealth key signed the bundle. This only shows the bundle is consistent: anyone
+ * holding a spending key can build one for an address that was never paid. With options.provider and a
+ * transactionHash in the bundle, the transaction's receipt must also hold an Announcement event with the
+ * bundle's receiver, pkx and ciphertext: onChain is "verified" if it does and "failed" if it does not.
+ * Otherwise onChain is "not-checked".
+ * With options.account, also checks the spending public key is the one the account has in the key directory
+ * @param bundle Disclosure bundle as object or JSON string
+ * @param {Object} options Optional provider to check the announcement on chain with, announcer address
+ * the event must come from, account (address or ENS name) to check the keys of, and keyDirectory,
+ * registry and registryAbi to look it up with
+ * @returns Object with isValid, onChain and, if invalid, the reason. Errors reading the chain or looking up
+ * the account are thrown
+ */
+module.exports.verifyDisclosure = async (bundle, options = {}) => {
+  if (typeof bundle === "string") bundle = JSON.parse(bundle);
+  if (bundle.type !== disclosureType) {
+    return {
+      isValid: false,
+      onChain: "not-checked",
+      reason: "Not a stealth payment disclosure",
+    };
+  }
+  if (bundle.version !== disclosureVersion) {
+    return {
+      isValid: false,
+      onChain: "not-checked",
+      reason: `Unsupported disclosure version ${bundle.version}`,
+    };
+  }
+
+  try {
+    const computedAddress = new KeyPair(bundle.spendingPublicKey).mulPublicKey(
+      bundle.randomNumber
+    ).address;
+    if (computedAddress !== bundle.stealthAddress) {
+      return {
+        isValid: false,
+        onChain: "not-checked",
+        reason:
+          "Spending public key and random number do not give the stealth address",
+      };
+    }
+    if (
+      bundle.announcement.receiver.toLowerCase() !==
+      computedAddress.toLowerCase()
+    ) {
+      return {
+        isValid: false,
+        onChain: "not-checked",
+        reason: "Stealth address is not the announcement's receiver",
+      };
+    }
+
+    const signer = verifyMessage(
+      getDisclosureMessage(bundle),
+      bundle.signature
+    );
+    if (signer !== computedAddress) {
+      return {
+        isValid: false,
+        onChain: "not-checked",
+        reason: "Signature was not made by the stealth address",
+      };
+    }
+  } catch (e) {
+    return {
+      isValid: false,
+      onChain: "not-checked",
+      reason: `Malformed disclosure: ${e.message}`,
+    };
+  }
+
+  let onChain = "not-checked";
+  if (options.provider && bundle.announcement.transactionHash) {
+    const reason = await checkOnChainAnnouncement(
+      bundle,
+      options.provider,
+      options.announcer
+    );
+    if (reason) return { isValid: false, onChain: "failed", reason };
+    onChain = "verified";
+  }
+
+  if (options.account) {
+    const { spendingPublicKey } = await lookupStealthKeys(
+      options.account,
+      options.provider,
+      options
+    );
+    if (
+      !spendingPublicKey ||
+      spendingPublicKey.toLowerCase() !== bundle.spendingPublicKey.toLowerCase()
+    ) {
+      return {
+        isValid: false,
+        onChain,
+        reason: `Spending public key is not registered to ${options.account}`,
+      };
+    }
+  }
+
+  return { isValid: true, onChain };
+};
@@ -0,0 +1,98 @@
+/**
+ * @notice ENS helpers
+ * @dev Recipients can publish an EIP-5564 stealth meta-address in the ENS text record
+ * stealth-meta-address. lookupStealthKeys checks it before falling back to the key directory, so a
+ * recipient with the record set does not need to register in the registry contract at all
+ */
+const { getAddress, isAddress } = require("ethers");
+const {
+  encodeStealthMetaAddress,
+  isStealthMetaAddress,
+} = require("./metaAddress");
+const {
+  ConfigurationError,
+  InvalidArgumentError,
+  UnregisteredRecipientError,
+  withProvider,
+} = require("./errors");
+
+/**
+ * @notice ENS text record key holding a stealth meta-address
+ */
+const stealthMetaAddressTextKey = "stealth-meta-address";
+
+/**
+ * @notice Returns true if the value looks like an ENS name, e.g. alice.eth
+ * @param value Value to check
+ */
+const isEnsName = (value) =>
+  typeof value === "string" && /^[^\s@?&=/:]+\.[^\s@?&=/:.]+$/.test(value);
+
+/**
+ * @notice Resolves an address or ENS name to a checksum address
+ * @param account Address or ENS name
+ * @param provider ethers provider used to resolve ENS names
+ * @returns Checksum address
+ */
+const resolveAccount = async (account, provider) => {
+  if (isAddress(account)) return getAddress(account);
+  if (!isEnsName(account)) {
+    throw new InvalidArgumentError(`${account} is not an address or ENS name`);
+  }
+  if (!provider) {
+    throw new ConfigurationError(
+      `A provider is required to resolve ENS name ${account}`
+    );
+  }
+  const address = await withProvider(`resolve ENS name ${account}`, () =>
+    provider.resolveName(account)
+  );
+  if (!address) {
+    throw new UnregisteredRecipientError(
+      account,
+      `ENS name ${account} does not resolve`
+    );
+  }
+  return address;
+};
+
+/**
+ * @notice Reads the stealth meta-address text record of an ENS name
+ * @param {String} name ENS name
+ * @param provider ethers provider
+ * @returns Stealth meta-address, or undefined if the name has no resolver or no valid record
+ */
+const getEnsStealthMetaAddress = async (name, provider) => {
+  const value = await withProvider(
+    `read ENS text record of ${name}`,
+    async () => {
+      const resolver = await provider.getResolver(name);
+      return resolver ? resolver.getText(stealthMetaAddressTextKey) : undefined;
+    }
+  );
+  return isStealthMetaAddress(value) ? value : undefined;
+};
+
+/**
+ * @notice Builds the ENS text record that publishes a user's stealth keys
+ * @dev Set it with resolver.setText(namehash(name), key, value) from the name's owner
+ * @param keys Object with spendingKeyPair and viewingKeyPair, as returned by generateKeyPair
+ * @param {String} chain EIP-3770 chain short name, defaults to eth
+ * @returns Object with the text record key and value
+ */
+const getEnsTextRecord = (keys, chain = "eth") => ({
+  key: stealthMetaAddressTextKey,
+  value: encodeStealthMetaAddress(
+    keys.spendingKeyPair.publicKeyHex,
+    keys.viewingKeyPair.publicKeyHex,
+    chain
+  ),
+});
+
+module.exports = {
+  stealthMetaAddressTextKey,
+  isEnsName,
+  resolveAccount,
+  getEnsStealthMetaAddress,
+  getEnsTextRecord,
+};
@@ -0,0 +1,180 @@
+/**
+ * @notice Error types thrown by the SDK
+ * @dev All extend StealthError, which extends Error, so existing catch blocks and message checks keep
+ * working. Use instanceof or the code property to tell failures apart. retryable is true only for
+ * failures that may succeed on a later attempt: network errors, timeouts, rate limits and HTTP 5xx
+ * responses. Configuration mistakes and contract calls that revert or return no data are not retryable
+ */
+class StealthError extends Error {
+  /**
+   * @param {String} message Error message
+   * @param {Object} options Optional cause, the underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = new.target.name;
+    this.code = "STEALTH_ERROR";
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+/**
+ * @notice A key, public key x-coordinate or signature is malformed or not on the curve
+ */
+class InvalidKeyError extends StealthError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "INVALID_KEY";
+  }
+}
+
+/**
+ * @notice The recipient has no stealth keys in the key directory, or their ENS name does not resolve
+ */
+class UnregisteredRecipientError extends StealthError {
+  /**
+   * @param {String} recipient Address or ENS name that was looked up
+   * @param {String} message Optional error message
+   */
+  constructor(recipient, message, options) {
+    super(
+      message || `Could not retrieve public keys for recipient ID ${recipient}`,
+      options
+    );
+    this.code = "UNREGISTERED_RECIPIENT";
+    this.recipient = recipient;
+  }
+}
+
+/**
+ * @notice A ciphertext or memo could not be decrypted or failed authentication
+ */
+class DecryptionError extends StealthError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "DECRYPTION_FAILED";
+  }
+}
+
+/**
+ * @notice An argument is malformed, e.g. an account that is neither an address nor an ENS name
+ */
+class InvalidArgumentError extends StealthError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "INVALID_ARGUMENT";
+  }
+}
+
+/**
+ * @notice The SDK is not set up for the call, e.g. no registry is configured for the chain or a
+ * provider or signer is missing
+ */
+class ConfigurationError extends StealthError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "CONFIGURATION_ERROR";
+  }
+}
+
+const transientCodes = [
+  // ethers
+  "NETWORK_ERROR",
+  "TIMEOUT",
+  "SERVER_ERROR",
+  // Node sockets and fetch
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+];
+
+/**
+ * @notice Returns the HTTP status of a failed request, if the error carries one
+ */
+const getHttpStatus = (error) => {
+  if (error.response && error.response.statusCode) {
+    return error.response.statusCode;
+  }
+  return error.status;
+};
+
+/**
+ * @notice Returns true for transport failures that may succeed on a later attempt
+ * @dev Follows the cause chain, fetch wraps socket errors in a generic TypeError
+ * @param error Error thrown by a provider, fetch or key directory
+ */
+const isTransientError = (error) => {
+  for (let e = error, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    const status = getHttpStatus(e);
+    if (status) return status >= 500 || status === 429;
+    if (transientCodes.includes(e.code)) return true;
+    // JSON-RPC "limit exceeded", sent by rate limited nodes with HTTP 200
+    if (e.error && e.error.code === -32005) return true;
+  }
+  return false;
+};
+
+/**
+ * @notice A call to the provider, a contract or a key directory failed
+ */
+class ProviderError extends StealthError {
+  /**
+   * @param {String} message Error message
+   * @param {Object} options Optional cause, and retryable, which defaults to whether the cause is a
+   * transport failure
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = "PROVIDER_ERROR";
+    this._retryable =
+      options.retryable !== undefined
+        ? options.retryable
+        : isTransientError(options.cause);
+  }
+
+  get retryable() {
+    return this._retryable;
+  }
+}
+
+/**
+ * @notice Runs a provider call, rethrowing its failures as ProviderError
+ * @dev Calls to an address without the expected contract (ethers BAD_DATA) and reverts
+ * (CALL_EXCEPTION) are not retryable
+ * @param {String} description What the call does, used in the error message
+ * @param {Function} call Async function making the call
+ */
+const withProvider = async (description, call) => {
+  try {
+    return await call();
+  } catch (e) {
+    if (e instanceof StealthError) throw e;
+    const hint =
+      e.code === "BAD_DATA" && e.value === "0x"
+        ? ", is the contract deployed on this network?"
+        : "";
+    throw new ProviderError(`Failed to ${description}: ${e.message}${hint}`, {
+      cause: e,
+    });
+  }
+};
+
+module.exports = {
+  StealthError,
+  InvalidKeyError,
+  UnregisteredRecipientError,
+  DecryptionError,
+  ProviderError,
+  InvalidArgumentError,
+  ConfigurationError,
+  isTransientError,
+  withProvider,
+};
@@ -0,0 +1,63 @@
+/**
+ * @notice Key directory selection
+ * @dev A key directory is any object with async getStealthKeys(account), returning
+ * { spendingPublicKey, viewingPublicKey } with empty strings for unknown accounts, and async
+ * setStealthKeys(account, spendingPublicKey, viewingPublicKey). StealthKeyRegistry (on-chain),
+ * InMemoryKeyDirectory and JsonFileKeyDirectory implement it
+ */
+const StealthKeyRegistry = require("../classes/StealthKeyRegistry");
+const { parseStealthMetaAddress } = require("./metaAddress");
+const {
+  getEnsStealthMetaAddress,
+  isEnsName,
+  resolveAccount,
+} = require("./ens");
+const { ConfigurationError, withProvider } = require("./errors");
+
+/**
+ * @notice Returns the key directory to look recipients up in
+ * @param provider ethers provider for the on-chain registry, unused when a keyDirectory is given
+ * @param options Optional keyDirectory, otherwise registry address and registryAbi overriding the chain
+ * config of the on-chain registry
+ */
+module.exports.resolveKeyDirectory = (provider, options = {}) => {
+  if (options.keyDirectory) {
+    if (typeof options.keyDirectory.getStealthKeys !== "function") {
+      throw new ConfigurationError(
+        "keyDirectory must implement getStealthKeys"
+      );
+    }
+    return options.keyDirectory;
+  }
+  return new StealthKeyRegistry(provider, {
+    address: options.registry,
+    abi: options.registryAbi,
+  });
+};
+
+/**
+ * @notice Looks an account up in the ENS text record or the key directory
+ * @dev For ENS names, a stealth meta-address published in the name's text record takes precedence over
+ * the key directory, otherwise the name is resolved and its address looked up. Failures of the
+ * directory itself are thrown as ProviderError
+ * @param account Address or ENS name
+ * @param provider ethers provider
+ * @param options Optional keyDirectory, registry and registryAbi, see resolveKeyDirectory
+ * @returns Uncompressed public keys, empty strings if the account has no keys set
+ */
+module.exports.lookupStealthKeys = async (account, provider, options = {}) => {
+  if (isEnsName(account) && provider) {
+    const metaAddress = await getEnsStealthMetaAddress(account, provider);
+    if (metaAddress) {
+      const { spendingPublicKey, viewingPublicKey } =
+        parseStealthMetaAddress(metaAddress);
+      return { spendingPublicKey, viewingPublicKey };
+    }
+  }
+
+  const address = await resolveAccount(account, provider);
+  const keyDirectory = module.exports.resolveKeyDirectory(provider, options);
+  return withProvider(`look up stealth keys of ${account}`, () =>
+    keyDirectory.getStealthKeys(address)
+  );
+};
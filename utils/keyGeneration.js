@@ -0,0 +1,240 @@
+/**
+ * @notice Versioned, signature based stealth key generation
+ * @dev Users sign a canonical message and the keys are derived from the signature. The message is domain
+ * separated and names the chain and the scheme version, so a signature made for another app or purpose
+ * never gives the same keys, and a future scheme can be introduced without changing existing users' keys.
+ *
+ * Scheme version 1:
+ *   - ECDSA signatures (65 bytes, or 64 byte EIP-2098 compact) are normalized to low-s first, then
+ *     spendingPrivateKey = sha256(r) and viewingPrivateKey = sha256(s), as generateKeyPair does
+ *   - Any other signature (e.g. an ERC-1271 multisig signature) is hashed with a label per key:
+ *     sha256(signature ++ "shakesco:stealth:spending:v1") and sha256(signature ++ "shakesco:stealth:viewing:v1").
+ *     Only use these with wallets that sign deterministically, otherwise each signature gives new keys
+ */
+const {
+  Contract,
+  Signature,
+  concat,
+  getBytes,
+  hashMessage,
+  hexlify,
+  isHexString,
+  sha256,
+  toBeHex,
+  toUtf8Bytes,
+  verifyMessage,
+} = require("ethers");
+const { secp256k1 } = require("@noble/curves/secp256k1");
+const KeyPair = require("../classes/KeyPair");
+const {
+  InvalidArgumentError,
+  InvalidKeyError,
+  withProvider,
+} = require("./errors");
+
+const { n: curveOrder } = secp256k1.CURVE;
+
+const keyGenerationDomain = "shakesco-stealth-keys";
+const latestKeyGenerationVersion = 1;
+
+const erc1271MagicValue = "0x1626ba7e";
+const erc1271Abi = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)",
+];
+
+/**
+ * @notice Normalizes an ECDSA signature to its canonical 65 byte form
+ * @dev Accepts 65 byte signatures with any v (0/1, 27/28 or 31/32) and 64 byte EIP-2098 compact signatures.
+ * A high-s signature is flipped to its low-s twin, which recovers to the same signer
+ * @param {String} signature Signature as hex string
+ * @returns {String} 65 byte r ++ s ++ v hex string, with low s and v of 27 or 28
+ */
+const normalizeSignature = (signature) => {
+  if (!isHexString(signature)) {
+    throw new InvalidKeyError("Signature must be a hex string");
+  }
+  const bytes = getBytes(signature);
+  if (bytes.length !== 64 && bytes.length !== 65) {
+    throw new InvalidKeyError(
+      `ECDSA signature must be 64 or 65 bytes, got ${bytes.length}`
+    );
+  }
+
+  const r = BigInt(hexlify(bytes.slice(0, 32)));
+  let s;
+  let yParity;
+  if (bytes.length === 64) {
+    // EIP-2098: the top bit of the second word is the y parity
+    const yParityAndS = BigInt(hexlify(bytes.slice(32, 64)));
+    yParity = Number(yParityAndS >> 255n);
+    s = yParityAndS & ((1n << 255n) - 1n);
+  } else {
+    const v = bytes[64];
+    yParity = v >= 27 ? (v - 27) % 4 : v;
+    if (yParity > 1) throw new InvalidKeyError(`Invalid signature v ${v}`);
+    s = BigInt(hexlify(bytes.slice(32, 64)));
+  }
+
+  if (r === 0n || r >= curveOrder || s === 0n || s >= curveOrder) {
+    throw new InvalidKeyError("Signature r or s is out of range");
+  }
+  if (s > curveOrder / 2n) {
+    s = curveOrder - s;
+    yParity ^= 1;
+  }
+
+  return Signature.from({
+    r: toBeHex(r, 32),
+    s: toBeHex(s, 32),
+    v: 27 + yParity,
+  }).serialized;
+};
+
+/**
+ * @notice Key derivations by scheme version
+ */
+const schemes = {
+  1: (signature) => {
+    const bytes = getBytes(signature);
+    if (bytes.length === 64 || bytes.length === 65) {
+      const normalized = normalizeSignature(signature);
+      return {
+        spendingPrivateKey: sha256(normalized.slice(0, 66)),
+        viewingPrivateKey: sha256(`0x${normalized.slice(66, 130)}`),
+      };
+    }
+    return {
+      spendingPrivateKey: sha256(
+        concat([bytes, toUtf8Bytes("shakesco:stealth:spending:v1")])
+      ),
+      viewingPrivateKey: sha256(
+        concat([bytes, toUtf8Bytes("shakesco:stealth:viewing:v1")])
+      ),
+    };
+  },
+};
+
+/**
+ * @notice Returns the message users sign to generate their stealth keys
+ * @param {Number} chainId Chain ID the keys are generated on
+ * @param {Number} version Key generation scheme version, defaults to the latest
+ * @returns {String} Message to sign with signMessage (EIP-191)
+ */
+const getKeyGenerationMessage = (
+  chainId,
+  version = latestKeyGenerationVersion
+) => {
+  if (!schemes[version]) {
+    throw new InvalidArgumentError(
+      `Unsupported key generation version ${version}`
+    );
+  }
+  if (!/^[1-9][0-9]*$/.test(String(chainId))) {
+    throw new InvalidArgumentError(`Invalid chain ID ${chainId}`);
+  }
+  return [
+    "Shakesco stealth keys",
+    "",
+    "Sign this message to generate the keys for your private payments. Only sign it in apps you trust, anyone with this signature can see your private payments.",
+    "",
+    `Domain: ${keyGenerationDomain}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+  ].join("\n");
+};
+
+/**
+ * @notice Checks that a signature over a message was made by, or is valid for, an account
+ * @dev Tries ECDSA recovery first, then ERC-1271 isValidSignature when a provider is given and the
+ * account is a contract
+ * @param {String} account Expected signer
+ * @param {String} message Message that was signed
+ * @param {String} signature Signature as hex string
+ * @param provider Optional ethers provider for ERC-1271 accounts
+ * @returns {Boolean} True if the signature is valid for the account
+ */
+const verifyKeyGenerationSignature = async (
+  account,
+  message,
+  signature,
+  provider
+) => {
+  const bytes = getBytes(signature);
+  if (bytes.length === 64 || bytes.length === 65) {
+    try {
+      const signer = verifyMessage(message, normalizeSignature(signature));
+      if (signer.toLowerCase() === account.toLowerCase()) return true;
+    } catch (e) {
+      // Not a valid ECDSA signature, it may still be valid for a smart contract account
+    }
+  }
+  if (!provider) return false;
+
+  return withProvider(`verify the signature of ${account}`, async () => {
+    if ((await provider.getCode(account)) === "0x") return false;
+    const wallet = new Contract(account, erc1271Abi, provider);
+    try {
+      const result = await wallet.isValidSignature(
+        hashMessage(message),
+        signature
+      );
+      return result.toLowerCase() === erc1271MagicValue;
+    } catch (e) {
+      // Contracts that reject the signature may revert instead of returning
+      if (e.code === "CALL_EXCEPTION") return false;
+      throw e;
+    }
+  });
+};
+
+/**
+ * @notice Generates stealth keys from a signature over the key generation message
+ * @param {String} signature Signature over getKeyGenerationMessage, 65 byte, 64 byte compact or ERC-1271
+ * @param {Object} options Optional version (defaults to the latest), and account to check the signature
+ * against, which also needs chainId (to rebuild the message, or pass message) and provider for ERC-1271
+ * accounts
+ * @returns Spending and viewing KeyPair instances, same shape as generateKeyPair, and the scheme version
+ */
+const generateKeyPairFromSignature = async (signature, options = {}) => {
+  const version = options.version || latestKeyGenerationVersion;
+  const derive = schemes[version];
+  if (!derive) {
+    throw new InvalidArgumentError(
+      `Unsupported key generation version ${version}`
+    );
+  }
+  if (!isHexString(signature) || !getBytes(signature).length) {
+    throw new InvalidKeyError("Signature must be a non-empty hex string");
+  }
+
+  if (options.account) {
+    const message =
+      options.message || getKeyGenerationMessage(options.chainId, version);
+    const isValid = await verifyKeyGenerationSignature(
+      options.account,
+      message,
+      signature,
+      options.provider
+    );
+    if (!isValid) {
+      throw new InvalidKeyError(
+        `Signature is not valid for account ${options.account}`
+      );
+    }
+  }
+
+  const { spendingPrivateKey, viewingPrivateKey } = derive(signature);
+  return {
+    spendingKeyPair: new KeyPair(spendingPrivateKey),
+    viewingKeyPair: new KeyPair(viewingPrivateKey),
+    version,
+  };
+};
+
+module.exports = {
+  latestKeyGenerationVersion,
+  getKeyGenerationMessage,
+  normalizeSignature,
+  verifyKeyGenerationSignature,
+  generateKeyPairFromSignature,
+};
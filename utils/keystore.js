@@ -0,0 +1,246 @@
+/**
+ * @notice Password protected storage for stealth keys
+ * @dev Follows the Ethereum JSON keystore (v3) construction: scrypt derives a 32 byte key, the first
+ * half encrypts with AES-128-CTR and the second half authenticates the ciphertext and the unencrypted
+ * fields with keccak256(key[16:32] ++ ciphertext ++ header), where header is the UTF-8 JSON array
+ * [version, type, keys, spendingPublicKey, viewingPublicKey]. The MAC is checked before anything is
+ * decrypted, so the public keys of a viewing-only keystore cannot be swapped without the password.
+ *
+ * File format (version 1):
+ * {
+ *   version: 1,
+ *   type: "shakesco-stealth-keys",
+ *   id: uuid,
+ *   keys: ["spending", "viewing"] or ["viewing"],
+ *   spendingPublicKey, viewingPublicKey,
+ *   crypto: { cipher, cipherparams: { iv }, ciphertext, kdf, kdfparams: { dklen, n, r, p, salt }, mac }
+ * }
+ * The plaintext is the listed private keys concatenated in order, 32 bytes each. Viewing-only
+ * keystores still carry the spending public key, which a scanning service needs to check ownership.
+ */
+const { CTR } = require("aes-js");
+const {
+  concat,
+  getBytes,
+  hexlify,
+  keccak256,
+  randomBytes,
+  scrypt,
+  toUtf8Bytes,
+  uuidV4,
+} = require("ethers");
+const KeyPair = require("../classes/KeyPair");
+const {
+  DecryptionError,
+  InvalidArgumentError,
+  InvalidKeyError,
+} = require("./errors");
+
+const keystoreType = "shakesco-stealth-keys";
+const keystoreVersion = 1;
+
+const defaultScryptParams = { n: 131072, r: 8, p: 1 };
+
+// scrypt needs 128 * n * r bytes of memory and about n * r * p work. The bounds refuse keystores too
+// weak to protect the keys and, when decrypting, files crafted to exhaust memory or CPU
+const scryptBounds = {
+  minN: 4096,
+  maxN: 1048576,
+  maxR: 32,
+  maxP: 16,
+  maxMemory: 2 ** 30,
+  maxWork: 2 ** 24,
+};
+
+/**
+ * @notice Throws InvalidArgumentError unless the scrypt parameters are within scryptBounds
+ */
+const checkKdfParams = (kdfparams) => {
+  const { n, r, p, dklen, salt } = kdfparams;
+  const isInteger = (value, min, max) =>
+    Number.isSafeInteger(value) && value >= min && value <= max;
+  if (
+    !isInteger(n, scryptBounds.minN, scryptBounds.maxN) ||
+    (n & (n - 1)) !== 0 ||
+    !isInteger(r, 1, scryptBounds.maxR) ||
+    !isInteger(p, 1, scryptBounds.maxP) ||
+    128 * n * r > scryptBounds.maxMemory ||
+    n * r * p > scryptBounds.maxWork
+  ) {
+    throw new InvalidArgumentError(
+      `Unsupported scrypt parameters n = ${n}, r = ${r}, p = ${p}: n must be a power of two from ` +
+        `${scryptBounds.minN} to ${scryptBounds.maxN}, r at most ${scryptBounds.maxR}, p at most ` +
+        `${scryptBounds.maxP}, 128 * n * r at most ${scryptBounds.maxMemory} and n * r * p at most ` +
+        `${scryptBounds.maxWork}`
+    );
+  }
+  if (dklen !== 32 || typeof salt !== "string" || getBytes(salt).length < 16) {
+    throw new InvalidArgumentError(
+      "Keystore key length must be 32 bytes and the salt at least 16 bytes"
+    );
+  }
+};
+
+/**
+ * @notice Derives the 32 byte encryption and MAC key from a password
+ */
+const deriveKey = async (password, kdfparams) => {
+  const { salt, n, r, p, dklen } = kdfparams;
+  const key = await scrypt(
+    toUtf8Bytes(password.normalize("NFKC")),
+    getBytes(salt),
+    n,
+    r,
+    p,
+    dklen
+  );
+  return getBytes(key);
+};
+
+/**
+ * @notice Computes the MAC over the ciphertext and the fields stored in the clear
+ */
+const computeMac = (derivedKey, ciphertext, keystore) => {
+  const header = JSON.stringify([
+    keystore.version,
+    keystore.type,
+    keystore.keys,
+    keystore.spendingPublicKey,
+    keystore.viewingPublicKey,
+  ]);
+  return keccak256(
+    concat([
+      derivedKey.slice(16, 32),
+      getBytes(ciphertext),
+      toUtf8Bytes(header),
+    ])
+  );
+};
+
+/**
+ * @notice Encrypts stealth private keys into a keystore
+ * @param keys Object with spendingKeyPair and viewingKeyPair, as returned by generateKeyPair
+ * @param {String} password Password to encrypt with
+ * @param {Object} options Optional viewingOnly to leave the spending private key out, and scrypt
+ * { n, r, p } parameters (defaults to n = 131072, r = 8, p = 1, n must be at least 4096)
+ * @returns {String} Keystore as JSON string
+ */
+module.exports.encryptKeystore = async (keys, password, options = {}) => {
+  const { spendingKeyPair, viewingKeyPair } = keys;
+  const names = options.viewingOnly ? ["viewing"] : ["spending", "viewing"];
+
+  const privateKeys = { spending: spendingKeyPair, viewing: viewingKeyPair };
+  for (const name of names) {
+    if (!privateKeys[name] || !privateKeys[name].privateKeyHex) {
+      throw new InvalidKeyError(
+        `The ${name} key pair has no private key to export`
+      );
+    }
+  }
+
+  const kdfparams = {
+    dklen: 32,
+    ...defaultScryptParams,
+    ...options.scrypt,
+    salt: hexlify(randomBytes(32)),
+  };
+  checkKdfParams(kdfparams);
+  const derivedKey = await deriveKey(password, kdfparams);
+  const iv = randomBytes(16);
+
+  const plaintext = concat(
+    names.map((name) => privateKeys[name].privateKeyHex)
+  );
+  const ciphertext = hexlify(
+    new CTR(derivedKey.slice(0, 16), iv).encrypt(getBytes(plaintext))
+  );
+
+  const keystore = {
+    version: keystoreVersion,
+    type: keystoreType,
+    id: uuidV4(randomBytes(16)),
+    keys: names,
+    spendingPublicKey: spendingKeyPair.publicKeyHex,
+    viewingPublicKey: viewingKeyPair.publicKeyHex,
+  };
+  return JSON.stringify({
+    ...keystore,
+    crypto: {
+      cipher: "aes-128-ctr",
+      cipherparams: { iv: hexlify(iv) },
+      ciphertext,
+      kdf: "scrypt",
+      kdfparams,
+      mac: computeMac(derivedKey, ciphertext, keystore),
+    },
+  });
+};
+
+/**
+ * @notice Encrypts only the viewing private key, to hand to a scanning service
+ * @param keys Object with spendingKeyPair and viewingKeyPair, the spending key pair may be public only
+ * @param {String} password Password to encrypt with
+ * @param {Object} options Optional scrypt { n, r, p } parameters
+ * @returns {String} Keystore as JSON string
+ */
+module.exports.encryptViewingKeystore = (keys, password, options = {}) =>
+  module.exports.encryptKeystore(keys, password, {
+    ...options,
+    viewingOnly: true,
+  });
+
+/**
+ * @notice Decrypts a keystore created by encryptKeystore
+ * @dev Throws InvalidArgumentError for a file that is not a supported keystore or whose scrypt
+ * parameters are out of bounds, and DecryptionError for a wrong password or a tampered file
+ * @param json Keystore as JSON string or object
+ * @param {String} password Password it was encrypted with
+ * @returns Object with spendingKeyPair and viewingKeyPair. For a viewing-only keystore the spending
+ * key pair holds just the public key
+ */
+module.exports.decryptKeystore = async (json, password) => {
+  const keystore = typeof json === "string" ? JSON.parse(json) : json;
+  if (keystore.type !== keystoreType) {
+    throw new InvalidArgumentError("Not a stealth keys keystore");
+  }
+  if (keystore.version !== keystoreVersion) {
+    throw new InvalidArgumentError(
+      `Unsupported keystore version ${keystore.version}`
+    );
+  }
+
+  const { cipher, cipherparams, ciphertext, kdf, kdfparams, mac } =
+    keystore.crypto;
+  if (cipher !== "aes-128-ctr" || kdf !== "scrypt") {
+    throw new InvalidArgumentError(
+      `Unsupported keystore cipher ${cipher} or kdf ${kdf}`
+    );
+  }
+  checkKdfParams(kdfparams);
+
+  const derivedKey = await deriveKey(password, kdfparams);
+  if (computeMac(derivedKey, ciphertext, keystore) !== mac.toLowerCase()) {
+    throw new DecryptionError("Incorrect password or corrupted keystore");
+  }
+
+  const plaintext = new CTR(
+    derivedKey.slice(0, 16),
+    getBytes(cipherparams.iv)
+  ).decrypt(getBytes(ciphertext));
+
+  const keys = {
+    spending: new KeyPair(keystore.spendingPublicKey),
+    viewing: new KeyPair(keystore.viewingPublicKey),
+  };
+  keystore.keys.forEach((name, i) => {
+    const keyPair = new KeyPair(hexlify(plaintext.slice(i * 32, i * 32 + 32)));
+    if (keyPair.publicKeyHex !== keys[name].publicKeyHex) {
+      throw new DecryptionError(
+        `Decrypted ${name} key does not match its public key`
+      );
+    }
+    keys[name] = keyPair;
+  });
+
+  return { spendingKeyPair: keys.spending, viewingKeyPair: keys.viewing };
+};
@@ -0,0 +1,50 @@
+/**
+ * @notice Paged log queries for providers that limit the block range or result size of getLogs
+ */
+const { ProviderError } = require("./errors");
+
+/**
+ * @notice Requests logs over a block range in chunks sized to what the provider accepts
+ * @dev A chunk the provider rejects (range too large, too many results) is halved and retried down to
+ * minChunkSize, successful chunks double the next request up to maxChunkSize. Chunks are yielded as
+ * they arrive, so callers can checkpoint between them
+ * @param provider ethers provider to read logs from
+ * @param {Object} filter getLogs filter (address and topics) without the block range
+ * @param {Object} options fromBlock and toBlock (inclusive), optional chunkSize (defaults to 10000),
+ * minChunkSize (defaults to 100) and maxChunkSize (defaults to 100000)
+ * @returns Async iterator of { fromBlock, toBlock, logs, chunkSize } per chunk, chunkSize being the
+ * size the next chunk will be requested with
+ */
+module.exports.getLogsInChunks = async function* (provider, filter, options) {
+  const { toBlock } = options;
+  const minChunkSize = options.minChunkSize || 100;
+  const maxChunkSize = options.maxChunkSize || 100000;
+  let chunkSize = options.chunkSize || 10000;
+  let fromBlock = options.fromBlock;
+
+  while (fromBlock <= toBlock) {
+    const chunkEnd = Math.min(fromBlock + chunkSize - 1, toBlock);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({
+        ...filter,
+        fromBlock,
+        toBlock: chunkEnd,
+      });
+    } catch (e) {
+      if (chunkSize <= minChunkSize) {
+        throw new ProviderError(
+          `Failed to get logs for blocks ${fromBlock}-${chunkEnd}: ${e.message}`,
+          { cause: e }
+        );
+      }
+      chunkSize = Math.max(minChunkSize, Math.floor(chunkSize / 2));
+      continue;
+    }
+
+    chunkSize = Math.min(maxChunkSize, chunkSize * 2);
+    yield { fromBlock, toBlock: chunkEnd, logs, chunkSize };
+    fromBlock = chunkEnd + 1;
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * @notice Encrypted payment memos
+ * @dev The memo key is derived from the same ECDH shared secret as the random number's encryption key,
+ * domain separated so the two never coincide: k = keccak256(sharedSecret ++ "shakesco:memo:v1"),
+ * encryption key = k[0:16], MAC key = k[16:32]. The IV is zero, which is only safe because each shared
+ * secret encrypts one memo: KeyPair.encrypt refuses a memo when the ephemeral key is injected rather than
+ * freshly random, and callers of encryptMemo must never pass the same shared secret twice.
+ *
+ * Byte layout (version 1):
+ *   version     1 byte        0x01
+ *   ciphertext  32 * n bytes  AES-128-CTR of: memo length (2 bytes, big endian) ++ UTF-8 memo ++ zero padding
+ *   mac         16 bytes      keccak256(macKey ++ version ++ ciphertext)[0:16]
+ * Padding to 32 byte blocks hides the exact memo length.
+ */
+const { CTR } = require("aes-js");
+const {
+  concat,
+  getBytes,
+  hexlify,
+  keccak256,
+  toUtf8Bytes,
+  toUtf8String,
+} = require("ethers");
+const { DecryptionError, InvalidArgumentError } = require("./errors");
+
+const memoVersion = 1;
+const blockSize = 32;
+const macLength = 16;
+
+/**
+ * @notice Maximum memo length in UTF-8 bytes
+ */
+const maxMemoLength = 256;
+
+/**
+ * @notice Derives the one-time encryption and MAC keys from a shared secret
+ */
+const deriveMemoKeys = (sharedSecret) => {
+  const key = getBytes(
+    keccak256(concat([sharedSecret, toUtf8Bytes("shakesco:memo:v1")]))
+  );
+  return { encryptionKey: key.slice(0, 16), macKey: key.slice(16, 32) };
+};
+
+/**
+ * @notice Computes the truncated MAC over the version byte and ciphertext
+ */
+const computeMac = (macKey, header, ciphertext) =>
+  getBytes(keccak256(concat([macKey, header, ciphertext]))).slice(0, macLength);
+
+/**
+ * @notice Encrypts a memo with a shared secret
+ * @param {String} sharedSecret Shared secret as returned by KeyPair.getSharedSecret, used for this memo only
+ * @param {String} memo Memo text, at most maxMemoLength UTF-8 bytes
+ * @returns {String} Encrypted memo as hex string with 0x prefix
+ */
+module.exports.encryptMemo = (sharedSecret, memo) => {
+  const memoBytes = toUtf8Bytes(memo);
+  if (memoBytes.length > maxMemoLength) {
+    throw new InvalidArgumentError(
+      `Memo must be at most ${maxMemoLength} bytes`
+    );
+  }
+
+  const paddedLength =
+    Math.ceil((memoBytes.length + 2) / blockSize) * blockSize;
+  const plaintext = new Uint8Array(paddedLength);
+  plaintext[0] = memoBytes.length >> 8;
+  plaintext[1] = memoBytes.length & 0xff;
+  plaintext.set(memoBytes, 2);
+
+  const { encryptionKey, macKey } = deriveMemoKeys(sharedSecret);
+  const header = new Uint8Array([memoVersion]);
+  const ciphertext = new CTR(encryptionKey, new Uint8Array(16)).encrypt(
+    plaintext
+  );
+
+  return hexlify(
+    concat([header, ciphertext, computeMac(macKey, header, ciphertext)])
+  );
+};
+
+/**
+ * @notice Decrypts and authenticates a memo with a shared secret
+ * @param {String} sharedSecret Shared secret as returned by KeyPair.getSharedSecret
+ * @param {String} encryptedMemo Encrypted memo as hex string with 0x prefix
+ * @returns {String} Memo text
+ */
+module.exports.decryptMemo = (sharedSecret, encryptedMemo) => {
+  const bytes = getBytes(encryptedMemo);
+  const ciphertextLength = bytes.length - 1 - macLength;
+  if (ciphertextLength <= 0 || ciphertextLength % blockSize !== 0) {
+    throw new DecryptionError("Encrypted memo has an invalid length");
+  }
+
+  const header = bytes.slice(0, 1);
+  if (header[0] !== memoVersion) {
+    throw new DecryptionError(`Unsupported memo version ${header[0]}`);
+  }
+  const ciphertext = bytes.slice(1, 1 + ciphertextLength);
+  const mac = bytes.slice(1 + ciphertextLength);
+
+  const { encryptionKey, macKey } = deriveMemoKeys(sharedSecret);
+  if (hexlify(computeMac(macKey, header, ciphertext)) !== hexlify(mac)) {
+    throw new DecryptionError("Memo failed authentication");
+  }
+
+  const plaintext = new CTR(encryptionKey, new Uint8Array(16)).decrypt(
+    ciphertext
+  );
+  const length = (plaintext[0] << 8) | plaintext[1];
+  if (length > maxMemoLength || length + 2 > plaintext.length) {
+    throw new DecryptionError("Encrypted memo has an invalid length");
+  }
+  return toUtf8String(plaintext.slice(2, 2 + length));
+};
+
+module.exports.maxMemoLength = maxMemoLength;
@@ -0,0 +1,96 @@
+/**
+ * @notice EIP-5564 stealth meta-address helpers
+ * @dev A stealth meta-address has the form st:<chain>:0x<spendingPublicKey><viewingPublicKey>, where
+ * chain is an EIP-3770 short name (e.g. eth) and both keys are 33 byte compressed public keys.
+ * See https://eips.ethereum.org/EIPS/eip-5564
+ */
+const KeyPair = require("../classes/KeyPair");
+const { isHexString } = require("ethers");
+const { lengths } = require("./utils");
+
+const metaAddressRegex = /^st:([a-zA-Z0-9-]+):(0x[0-9a-fA-F]{132})$/;
+
+/**
+ * @notice Returns the compressed form of an uncompressed public key, as hex string without 0x prefix
+ */
+const compress = (publicKey) => {
+  const { prefix, pubKeyXCoordinate } = KeyPair.compressPublicKey(publicKey);
+  return `0${prefix}${pubKeyXCoordinate.slice(2)}`;
+};
+
+/**
+ * @notice Returns the uncompressed form of a compressed public key given as hex string without 0x prefix
+ */
+const uncompress = (compressedPublicKey) => {
+  const prefix = Number(compressedPublicKey.slice(0, 2));
+  if (prefix !== 2 && prefix !== 3) {
+    throw new Error("Compressed public key must start with 02 or 03");
+  }
+  const publicKey = KeyPair.getUncompressedFromX(
+    `0x${compressedPublicKey.slice(2)}`,
+    prefix
+  );
+  // Catches x coordinates outside the field, which would otherwise be silently reduced
+  if (compress(publicKey) !== compressedPublicKey.toLowerCase()) {
+    throw new Error("Compressed public key is not a valid curve point");
+  }
+  return publicKey;
+};
+
+/**
+ * @notice Encodes public keys as an EIP-5564 stealth meta-address
+ * @param {String} spendingPublicKey Spending public key as hex string with 0x04 prefix
+ * @param {String} viewingPublicKey Viewing public key as hex string with 0x04 prefix
+ * @param {String} chain EIP-3770 chain short name, defaults to eth
+ * @returns Stealth meta-address as st:<chain>:0x... string
+ */
+module.exports.encodeStealthMetaAddress = (
+  spendingPublicKey,
+  viewingPublicKey,
+  chain = "eth"
+) => {
+  for (const publicKey of [spendingPublicKey, viewingPublicKey]) {
+    if (!isHexString(publicKey) || publicKey.length !== lengths.publicKey) {
+      throw new Error("Public keys must be 0x04 prefixed uncompressed hex");
+    }
+  }
+  if (!/^[a-zA-Z0-9-]+$/.test(chain)) {
+    throw new Error(`Invalid chain short name ${chain}`);
+  }
+  return `st:${chain}:0x${compress(spendingPublicKey)}${compress(
+    viewingPublicKey
+  )}`;
+};
+
+/**
+ * @notice Parses and validates an EIP-5564 stealth meta-address
+ * @param {String} metaAddress Stealth meta-address as st:<chain>:0x... string
+ * @returns The chain short name and the uncompressed spending and viewing public keys
+ */
+module.exports.parseStealthMetaAddress = (metaAddress) => {
+  const match = metaAddressRegex.exec(metaAddress);
+  if (!match) {
+    throw new Error(`Invalid stealth meta-address ${metaAddress}`);
+  }
+  const [, chain, keys] = match;
+
+  let spendingPublicKey;
+  let viewingPublicKey;
+  try {
+    spendingPublicKey = uncompress(keys.slice(2, 68));
+    viewingPublicKey = uncompress(keys.slice(68));
+  } catch (e) {
+    throw new Error(
+      `Stealth meta-address ${metaAddress} contains an invalid public key`
+    );
+  }
+  return { chain, spendingPublicKey, viewingPublicKey };
+};
+
+/**
+ * @notice Returns true if the value looks like a stealth meta-address
+ * @dev Only the format is checked, use parseStealthMetaAddress to validate the keys
+ * @param value Value to check
+ */
+module.exports.isStealthMetaAddress = (value) =>
+  typeof value === "string" && metaAddressRegex.test(value);
@@ -0,0 +1,154 @@
+/**
+ * @notice Stealth payment request URIs
+ * @dev Modelled on EIP-681. A request has the form
+ *   stealth:<recipient>[@<chainId>][?token=<address>&amount=<uint>&reference=<text>]
+ * where recipient is a registered address, an ENS name or an EIP-5564 stealth meta-address. The
+ * token defaults to the chain's native currency, the amount is in the token's smallest unit and the
+ * reference is free text (e.g. an invoice ID). The URI itself is the QR code payload.
+ */
+const { getAddress, isAddress, toUtf8Bytes } = require("ethers");
+const { isStealthMetaAddress } = require("./metaAddress");
+const { isEnsName } = require("./ens");
+const { maxMemoLength } = require("./memo");
+const { prepareSend } = require("./Transaction");
+
+const scheme = "stealth:";
+
+/**
+ * @notice Checks the fields of a request and returns them normalized
+ */
+const normalizeRequest = (request) => {
+  const { recipient, chainId, token, amount, reference } = request;
+
+  if (
+    !isStealthMetaAddress(recipient) &&
+    !isAddress(recipient) &&
+    !isEnsName(recipient)
+  ) {
+    throw new Error(
+      `Recipient ${recipient} is not an address, ENS name or stealth meta-address`
+    );
+  }
+  const normalized = {
+    recipient: isAddress(recipient) ? getAddress(recipient) : recipient,
+  };
+
+  if (chainId !== undefined) {
+    if (!/^[1-9][0-9]*$/.test(chainId.toString())) {
+      throw new Error(`Invalid chain ID ${chainId}`);
+    }
+    normalized.chainId = Number(chainId);
+  }
+  if (token !== undefined) {
+    if (!isAddress(token)) throw new Error(`Invalid token address ${token}`);
+    normalized.token = getAddress(token);
+  }
+  if (amount !== undefined) {
+    if (!/^[0-9]+$/.test(amount.toString())) {
+      throw new Error(`Amount must be a non-negative integer, got ${amount}`);
+    }
+    normalized.amount = BigInt(amount.toString());
+  }
+  if (reference !== undefined) {
+    if (toUtf8Bytes(reference).length > maxMemoLength) {
+      throw new Error(`Reference must be at most ${maxMemoLength} bytes`);
+    }
+    normalized.reference = reference;
+  }
+  return normalized;
+};
+
+/**
+ * @notice Encodes a payment request as a URI
+ * @param request Object with recipient and optionally chainId, token, amount (smallest unit) and reference
+ * @returns {String} Payment request URI, also used as the QR code payload
+ */
+module.exports.encodePaymentRequest = (request) => {
+  const { recipient, chainId, token, amount, reference } =
+    normalizeRequest(request);
+
+  const params = [];
+  if (token !== undefined) params.push(`token=${token}`);
+  if (amount !== undefined) params.push(`amount=${amount}`);
+  if (reference !== undefined) {
+    params.push(`reference=${encodeURIComponent(reference)}`);
+  }
+
+  const target = chainId !== undefined ? `${recipient}@${chainId}` : recipient;
+  return `${scheme}${target}${params.length ? `?${params.join("&")}` : ""}`;
+};
+
+/**
+ * @notice Parses a payment request URI
+ * @param {String} uri Payment request URI as created by encodePaymentRequest
+ * @returns Object with recipient and, when present, chainId (number), token, amount (BigInt) and reference
+ */
+module.exports.parsePaymentRequest = (uri) => {
+  if (typeof uri !== "string" || !uri.toLowerCase().startsWith(scheme)) {
+    throw new Error(`Payment request must start with ${scheme}`);
+  }
+
+  const body = uri.slice(scheme.length);
+  const queryStart = body.indexOf("?");
+  const target = queryStart === -1 ? body : body.slice(0, queryStart);
+  const query = queryStart === -1 ? "" : body.slice(queryStart + 1);
+
+  const request = {};
+  const chainStart = target.lastIndexOf("@");
+  if (chainStart === -1) {
+    request.recipient = target;
+  } else {
+    request.recipient = target.slice(0, chainStart);
+    request.chainId = target.slice(chainStart + 1);
+  }
+
+  const known = ["token", "amount", "reference"];
+  for (const param of query ? query.split("&") : []) {
+    const separator = param.indexOf("=");
+    const key = separator === -1 ? param : param.slice(0, separator);
+    const value =
+      separator === -1 ? "" : decodeURIComponent(param.slice(separator + 1));
+    if (!known.includes(key)) continue; // Ignore unknown parameters for forward compatibility
+    if (request[key] !== undefined) {
+      throw new Error(`Duplicate payment request parameter ${key}`);
+    }
+    request[key] = value;
+  }
+
+  return normalizeRequest(request);
+};
+
+/**
+ * @notice Prepares a stealth payment from a payment request
+ * @dev ENS names are resolved by prepareSend. The reference is attached as the encrypted memo unless
+ * options.memo is set. Throws if the request is for a different chain than the provider is connected to
+ * @param request Payment request URI or parsed request
+ * @param provider ethers provider, unused for stealth meta-addresses without a chain ID
+ * @param options Optional options passed through to prepareSend
+ * @returns The output of prepareSend, plus the parsed request to build the transfer from
+ */
+module.exports.prepareSendFromRequest = async (
+  request,
+  provider,
+  options = {}
+) => {
+  const parsed =
+    typeof request === "string"
+      ? module.exports.parsePaymentRequest(request)
+      : normalizeRequest(request);
+
+  if (parsed.chainId !== undefined && provider) {
+    const { chainId } = await provider.getNetwork();
+    if (Number(chainId) !== parsed.chainId) {
+      throw new Error(
+        `Payment request is for chain ${parsed.chainId} but the provider is connected to chain ${chainId}`
+      );
+    }
+  }
+
+  const details = await prepareSend(parsed.recipient, provider, {
+    memo: parsed.reference,
+    ...options,
+  });
+  return { ...details, request: parsed };
+};
@@ -0,0 +1,237 @@
+/**
+ * @notice Balances of discovered stealth addresses
+ * @dev Reads are batched through Multicall3 when it is deployed on the network, otherwise made one by one.
+ * Native currency payments are keyed by nativeTokenAddress, the placeholder the Umbra contract announces
+ * ETH payments with. Tokens reporting ERC-721 support through ERC-165 are treated as NFTs, whose announced
+ * amount is a token ID
+ */
+const { Contract, Interface, ZeroAddress, getAddress } = require("ethers");
+const { umbraAbi } = require("./chains");
+
+const nativeTokenAddress = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+/**
+ * @notice Multicall3 is deployed at the same address on most EVM chains
+ */
+const multicallAddress = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const multicallAbi = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+]; //prettier-ignore
+
+const multicallInterface = new Interface(multicallAbi);
+const tokenInterface = new Interface([
+  "function balanceOf(address owner) view returns (uint256)",
+]);
+const erc165Interface = new Interface([
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+]);
+const erc721InterfaceId = "0x80ac58cd";
+const umbraInterface = new Interface(umbraAbi);
+
+/**
+ * @notice Returns the checksum token address, mapping empty and zero addresses to nativeTokenAddress
+ */
+const normalizeToken = (tokenAddress) =>
+  !tokenAddress || tokenAddress === ZeroAddress
+    ? nativeTokenAddress
+    : getAddress(tokenAddress);
+
+/**
+ * @notice Builds the ERC-721 checks and balance reads, each with the Multicall3 call and the sequential fallback
+ */
+const buildReads = (tokens, holdings, options) => {
+  const reads = [];
+  for (const token of tokens) {
+    reads.push({
+      holding: token,
+      field: "erc721",
+      target: token.tokenAddress,
+      iface: erc165Interface,
+      method: "supportsInterface",
+      args: [erc721InterfaceId],
+    });
+  }
+  for (const holding of holdings) {
+    const { stealthAddress, tokenAddress } = holding;
+    if (tokenAddress === nativeTokenAddress) {
+      reads.push({
+        holding,
+        field: "balance",
+        target: options.multicall,
+        iface: multicallInterface,
+        method: "getEthBalance",
+        args: [stealthAddress],
+        fallback: (provider) => provider.getBalance(stealthAddress),
+      });
+      continue;
+    }
+    reads.push({
+      holding,
+      field: "balance",
+      target: tokenAddress,
+      iface: tokenInterface,
+      method: "balanceOf",
+      args: [stealthAddress],
+    });
+    // Tokens sent through an Umbra compatible contract wait there until withdrawn
+    if (options.announcer) {
+      reads.push({
+        holding,
+        field: "pending",
+        target: options.announcer,
+        iface: umbraInterface,
+        method: "tokenPayments",
+        args: [stealthAddress, tokenAddress],
+      });
+    }
+  }
+  return reads;
+};
+
+/**
+ * @notice Runs reads through Multicall3, in batches
+ */
+const readWithMulticall = async (reads, provider, options) => {
+  const multicall = new Contract(options.multicall, multicallAbi, provider);
+  for (let i = 0; i < reads.length; i += options.batchSize) {
+    const batch = reads.slice(i, i + options.batchSize);
+    const results = await multicall.aggregate3.staticCall(
+      batch.map((read) => ({
+        target: read.target,
+        allowFailure: true,
+        callData: read.iface.encodeFunctionData(read.method, read.args),
+      }))
+    );
+    batch.forEach((read, j) => {
+      const { success, returnData } = results[j];
+      read.holding[read.field] =
+        success && returnData !== "0x"
+          ? read.iface.decodeFunctionResult(read.method, returnData)[0]
+          : undefined;
+    });
+  }
+};
+
+/**
+ * @notice Runs reads one at a time
+ */
+const readSequentially = async (reads, provider) => {
+  for (const read of reads) {
+    try {
+      read.holding[read.field] = read.fallback
+        ? await read.fallback(provider)
+        : await new Contract(read.target, read.iface, provider)[read.method](
+            ...read.args
+          );
+    } catch (e) {
+      read.holding[read.field] = undefined;
+    }
+  }
+};
+
+/**
+ * @notice Returns the current balances of the stealth addresses of matched payments
+ * @dev A balance that could not be read (e.g. the token is not a contract) is left undefined and
+ * counted as zero in the totals. An address is marked swept once it is known to hold nothing of any
+ * asset it received, including tokens still pending in the announcer contract. For ERC-721 tokens the
+ * entry lists the received tokenIds, and received, balance and totals count tokens
+ * @param payments Array of matched payments with stealthAddress, tokenAddress and amount or amountOrId,
+ * e.g. from IsUsersFunds, AnnouncementScanner or scanBatch
+ * @param provider ethers provider
+ * @param {Object} options Optional announcer to also read tokens pending withdrawal from, multicall
+ * address (false to always read sequentially) and batchSize (calls per Multicall3 request, defaults to 500)
+ * @returns Balances per stealth address with a swept flag, totals per token, and whether Multicall3 was used
+ */
+module.exports.getPortfolio = async (payments, provider, options = {}) => {
+  const settings = {
+    multicall:
+      options.multicall === undefined ? multicallAddress : options.multicall,
+    announcer: options.announcer,
+    batchSize: options.batchSize || 500,
+  };
+
+  // Group payments by stealth address and token
+  const addresses = new Map();
+  for (const payment of payments) {
+    const stealthAddress = getAddress(payment.stealthAddress);
+    const tokenAddress = normalizeToken(payment.tokenAddress);
+    const amount =
+      payment.amount !== undefined ? payment.amount : payment.amountOrId;
+
+    if (!addresses.has(stealthAddress))
+      addresses.set(stealthAddress, new Map());
+    const holdings = addresses.get(stealthAddress);
+    if (!holdings.has(tokenAddress)) {
+      holdings.set(tokenAddress, { stealthAddress, tokenAddress, amounts: [] });
+    }
+    holdings
+      .get(tokenAddress)
+      .amounts.push(BigInt(amount ? amount.toString() : 0));
+  }
+
+  const holdings = [...addresses.values()].flatMap((byToken) => [
+    ...byToken.values(),
+  ]);
+  // Token kinds are read once per token, ETH can never be an NFT
+  const tokens = new Map();
+  for (const { tokenAddress } of holdings) {
+    if (tokenAddress !== nativeTokenAddress && !tokens.has(tokenAddress)) {
+      tokens.set(tokenAddress, { tokenAddress });
+    }
+  }
+  const reads = buildReads([...tokens.values()], holdings, settings);
+
+  const usedMulticall =
+    !!settings.multicall &&
+    reads.length > 0 &&
+    (await provider.getCode(settings.multicall)) !== "0x";
+  if (usedMulticall) {
+    await readWithMulticall(reads, provider, settings);
+  } else {
+    await readSequentially(reads, provider);
+  }
+
+  // Aggregate per address and in total
+  const totals = new Map();
+  const result = [...addresses.entries()].map(([stealthAddress, byToken]) => {
+    const balances = [...byToken.values()].map((holding) => {
+      const { tokenAddress, amounts, balance, pending } = holding;
+      const held = (balance || 0n) + (pending || 0n);
+      totals.set(tokenAddress, (totals.get(tokenAddress) || 0n) + held);
+      const erc721 =
+        tokens.has(tokenAddress) && tokens.get(tokenAddress).erc721 === true;
+      const entry = {
+        tokenAddress,
+        payments: amounts.length,
+        received: erc721
+          ? BigInt(amounts.length)
+          : amounts.reduce((sum, amount) => sum + amount, 0n),
+        balance,
+      };
+      if (erc721) entry.tokenIds = amounts;
+      if (settings.announcer && tokenAddress !== nativeTokenAddress) {
+        entry.pending = pending;
+      }
+      return entry;
+    });
+    const swept = balances.every(
+      (entry) =>
+        entry.balance === 0n && (!("pending" in entry) || entry.pending === 0n)
+    );
+    return { stealthAddress, balances, swept };
+  });
+
+  return {
+    addresses: result,
+    totals: [...totals.entries()].map(([tokenAddress, balance]) => ({
+      tokenAddress,
+      balance,
+    })),
+    usedMulticall,
+  };
+};
+
+module.exports.nativeTokenAddress = nativeTokenAddress;
+module.exports.multicallAddress = multicallAddress;
@@ -0,0 +1,250 @@
+/**
+ * @notice Privacy checks for planned sends and withdrawals
+ * @dev Stealth addresses only stay private if nothing on chain links them to the user. These checks
+ * look for the common mistakes before anything is broadcast and return warnings, each with a code, a
+ * severity and a message to show the user:
+ *   - high: the plan links a stealth address to the user or to their other stealth addresses
+ *   - medium: the plan makes the link likely, e.g. a shared gas payer
+ *   - low: the plan makes the payment easier to pick out, e.g. a round amount
+ * Nothing is blocked, wallets decide what to do with the warnings
+ */
+const { Interface, getAddress, isAddress } = require("ethers");
+
+const severityOrder = ["low", "medium", "high"];
+
+const tokenInterface = new Interface([
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+]); //prettier-ignore
+
+/**
+ * @notice Returns the lowercase set of the user's known addresses
+ */
+const toAddressSet = (addresses = []) =>
+  new Set(
+    addresses
+      .filter((address) => isAddress(address))
+      .map((a) => a.toLowerCase())
+  );
+
+/**
+ * @notice Checks whether an amount looks hand picked: at most two significant digits and at most two
+ * decimal places, e.g. 0.1 ETH or 25 USDC
+ */
+const isRoundAmount = (amount, decimals) => {
+  const value = BigInt(amount.toString());
+  if (value === 0n) return false;
+  const unit = 10n ** BigInt(Math.max(decimals - 2, 0));
+  if (value % unit !== 0n) return false;
+  const digits = value.toString().replace(/0+$/, "");
+  return digits.length <= 2;
+};
+
+/**
+ * @notice Sorts warnings by severity, highest first, and adds the highest severity
+ */
+const toResult = (warnings) => {
+  warnings.sort(
+    (a, b) =>
+      severityOrder.indexOf(b.severity) - severityOrder.indexOf(a.severity)
+  );
+  return {
+    warnings,
+    highestSeverity: warnings.length ? warnings[0].severity : "none",
+  };
+};
+
+/**
+ * @notice Turns a withdrawal plan into one entry per stealth address and destination
+ */
+const toWithdrawals = (plan) =>
+  (Array.isArray(plan) ? plan : [plan]).flatMap((entry) => {
+    if (!entry.transactions) return [entry];
+
+    // prepareSweep output, the stealth address pays its own gas
+    return entry.transactions.map(
+      ({ type, transaction, amount, tokenAddress }) => {
+        let destination = transaction.to;
+        if (type === "erc20") {
+          [destination] = tokenInterface.decodeFunctionData(
+            "transfer",
+            transaction.data
+          );
+        } else if (type === "erc721") {
+          [, destination] = tokenInterface.decodeFunctionData(
+            "safeTransferFrom",
+            transaction.data
+          );
+        }
+        return {
+          stealthAddress: entry.stealthAddress,
+          destination,
+          tokenAddress: type === "eth" ? undefined : tokenAddress,
+          amount: type === "erc721" ? undefined : amount,
+          gasPayer: entry.gasPayer,
+        };
+      }
+    );
+  });
+
+/**
+ * @notice Checks a planned stealth payment for privacy mistakes
+ * @param send Output of prepareSend
+ * @param {Object} options Optional amount (smallest unit) and decimals of the token (defaults to 18),
+ * sender paying the stealth address, recipient (address or ENS name the payment was prepared for),
+ * knownAddresses, the user's own public addresses, and previousStealthAddresses already paid
+ * @returns Object with warnings ({ code, severity, message, addresses }, highest severity first) and
+ * highestSeverity ("none" if there are no warnings)
+ */
+module.exports.lintSend = (send, options = {}) => {
+  const known = toAddressSet(options.knownAddresses);
+  const stealthAddress = send.stealthKeyPair.address;
+  const warnings = [];
+
+  // Only happens when the random number is reused, e.g. a fixed one from a test setup
+  if (
+    toAddressSet(options.previousStealthAddresses).has(
+      stealthAddress.toLowerCase()
+    )
+  ) {
+    warnings.push({
+      code: "REUSED_STEALTH_ADDRESS",
+      severity: "high",
+      message: `Stealth address ${stealthAddress} was already paid, reusing it links the payments`,
+      addresses: [stealthAddress],
+    });
+  }
+
+  const { sender, recipient } = options;
+  if (
+    sender &&
+    recipient &&
+    known.has(sender.toLowerCase()) &&
+    (known.has(recipient.toLowerCase()) ||
+      recipient.toLowerCase() === sender.toLowerCase())
+  ) {
+    warnings.push({
+      code: "SELF_PAYMENT",
+      severity: "medium",
+      message: `Paying your own stealth address from ${getAddress(
+        sender
+      )} links it to you, anyone can see who funded it`,
+      addresses: [getAddress(sender), stealthAddress],
+    });
+  }
+
+  if (
+    options.amount !== undefined &&
+    isRoundAmount(
+      options.amount,
+      options.decimals === undefined ? 18 : options.decimals
+    )
+  ) {
+    warnings.push({
+      code: "ROUND_AMOUNT",
+      severity: "low",
+      message:
+        "Round amounts are easy to match with the sender's transfers, consider adding some noise",
+      addresses: [stealthAddress],
+    });
+  }
+
+  return toResult(warnings);
+};
+
+/**
+ * @notice Checks a planned withdrawal from one or more stealth addresses for privacy mistakes
+ * @param plan Output of prepareSweep, or an object (or array of them) with stealthAddress, destination and
+ * optionally tokenAddress, amount and gasPayer, the account paying for or funding the gas (defaults to the
+ * stealth address itself). Arrays may mix both forms
+ * @param {Object} options Optional knownAddresses, the user's own public addresses (e.g. the account
+ * that registered the stealth keys), and decimals per token address for the round amount check (defaults to 18)
+ * @returns Object with warnings ({ code, severity, message, addresses }, highest severity first) and
+ * highestSeverity ("none" if there are no warnings)
+ */
+module.exports.lintWithdrawal = (plan, options = {}) => {
+  const known = toAddressSet(options.knownAddresses);
+  const decimals = Object.fromEntries(
+    Object.entries(options.decimals || {}).map(([token, value]) => [
+      token.toLowerCase(),
+      value,
+    ])
+  );
+  const withdrawals = toWithdrawals(plan).map((withdrawal) => ({
+    ...withdrawal,
+    stealthAddress: getAddress(withdrawal.stealthAddress),
+    destination: getAddress(withdrawal.destination),
+    gasPayer: withdrawal.gasPayer ? getAddress(withdrawal.gasPayer) : undefined,
+  }));
+  const warnings = [];
+
+  const byDestination = new Map();
+  const byGasPayer = new Map();
+  for (const withdrawal of withdrawals) {
+    const { stealthAddress, destination, gasPayer } = withdrawal;
+    if (!byDestination.has(destination))
+      byDestination.set(destination, new Set());
+    byDestination.get(destination).add(stealthAddress);
+    if (gasPayer && gasPayer !== stealthAddress) {
+      if (!byGasPayer.has(gasPayer)) byGasPayer.set(gasPayer, new Set());
+      byGasPayer.get(gasPayer).add(stealthAddress);
+    }
+  }
+
+  for (const [destination, stealthAddresses] of byDestination) {
+    const addresses = [...stealthAddresses];
+    if (known.has(destination.toLowerCase())) {
+      warnings.push({
+        code: "KNOWN_DESTINATION",
+        severity: "high",
+        message: `Withdrawing to ${destination}, one of your known addresses, links the stealth address to you`,
+        addresses: [destination, ...addresses],
+      });
+    }
+    if (addresses.length > 1) {
+      warnings.push({
+        code: "LINKED_STEALTH_ADDRESSES",
+        severity: "high",
+        message: `Withdrawing ${addresses.length} stealth addresses to ${destination} shows they belong to the same person`,
+        addresses: [destination, ...addresses],
+      });
+    }
+  }
+
+  for (const [gasPayer, stealthAddresses] of byGasPayer) {
+    const addresses = [...stealthAddresses];
+    if (known.has(gasPayer.toLowerCase())) {
+      warnings.push({
+        code: "KNOWN_GAS_PAYER",
+        severity: "high",
+        message: `Gas paid by ${gasPayer}, one of your known addresses, links the stealth address to you`,
+        addresses: [gasPayer, ...addresses],
+      });
+    } else if (addresses.length > 1) {
+      warnings.push({
+        code: "SHARED_GAS_PAYER",
+        severity: "medium",
+        message: `Gas for ${addresses.length} stealth addresses paid by ${gasPayer} suggests they belong to the same person`,
+        addresses: [gasPayer, ...addresses],
+      });
+    }
+  }
+
+  for (const { stealthAddress, tokenAddress, amount } of withdrawals) {
+    if (amount === undefined) continue;
+    const tokenDecimals =
+      tokenAddress && decimals[tokenAddress.toLowerCase()] !== undefined
+        ? decimals[tokenAddress.toLowerCase()]
+        : 18;
+    if (isRoundAmount(amount, tokenDecimals)) {
+      warnings.push({
+        code: "ROUND_AMOUNT",
+        severity: "low",
+        message: `Withdrawing a round amount from ${stealthAddress} is easy to match with a later deposit`,
+        addresses: [stealthAddress],
+      });
+    }
+  }
+
+  return toResult(warnings);
+};
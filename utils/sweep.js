@@ -0,0 +1,203 @@
+const KeyPair = require("../classes/KeyPair");
+const { Contract, Interface, Wallet } = require("ethers");
+const { ProviderError } = require("./errors");
+
+const tokenInterface = new Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+]); //prettier-ignore
+
+/**
+ * @notice Returns the fee fields for a transaction and the worst-case price paid per gas
+ * @dev With exact set, the max fee and priority fee are both the latest block's base fee plus the
+ * network's priority fee. As the priority fee is never below the max fee minus the base fee, the price
+ * paid per gas is exactly that max fee, and a plain ETH transfer costs exactly gasLimit * maxFeePerGas
+ * and leaves no dust. The builder gets the normal tip, plus whatever the base fee drops before
+ * inclusion. The transaction waits while the base fee is above the latest block's.
+ * Throws ProviderError if the provider returns no price to fix
+ * @param feeData Fee data from provider.getFeeData
+ * @param baseFeePerGas Base fee of the latest block, only used with exact
+ * @param exact Whether the price paid per gas must be known in advance
+ */
+const getFeeFields = (feeData, baseFeePerGas, exact) => {
+  if (feeData.maxFeePerGas === null || feeData.maxFeePerGas === undefined) {
+    // Legacy transactions always pay their gas price
+    if (exact && !feeData.gasPrice) {
+      throw new ProviderError(
+        "Cannot fix the gas price of the ETH transfer: the provider returned no gas price",
+        { retryable: false }
+      );
+    }
+    return {
+      fields: { type: 0, gasPrice: feeData.gasPrice },
+      pricePerGas: feeData.gasPrice,
+    };
+  }
+  if (exact) {
+    if (
+      baseFeePerGas === null ||
+      baseFeePerGas === undefined ||
+      feeData.maxPriorityFeePerGas === null ||
+      feeData.maxPriorityFeePerGas === undefined
+    ) {
+      throw new ProviderError(
+        "Cannot fix the gas price of the ETH transfer: the provider returned no base fee or priority fee",
+        { retryable: false }
+      );
+    }
+    const price = baseFeePerGas + feeData.maxPriorityFeePerGas;
+    return {
+      fields: { type: 2, maxFeePerGas: price, maxPriorityFeePerGas: price },
+      pricePerGas: price,
+    };
+  }
+  return {
+    fields: {
+      type: 2,
+      maxFeePerGas: feeData.maxFeePerGas,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
+    },
+    pricePerGas: feeData.maxFeePerGas,
+  };
+};
+
+/**
+ * @notice Builds signed transactions that move everything out of a stealth address
+ * @dev Token and NFT transfers are built first, the ETH transfer last. The ETH transfer sends the
+ * balance minus the worst-case gas cost of every transaction, so it never fails for lack of gas.
+ * Sent to an address without code, it uses exactly 21000 gas and leaves nothing behind. Sweeps that
+ * include tokens or NFTs do leave ETH dust: their transfers reserve gasLimit * maxFeePerGas but use less
+ * gas than the estimate at a lower effective price, and the difference stays in the stealth address.
+ * Nothing is broadcast, review the transactions and pass the result to broadcastSweep.
+ * @param spendingPrivateKey Receiver's spending private key
+ * @param randomNumber Decrypted random number, as class RandomNumber or hex string with 0x prefix
+ * @param destination Address to send the funds to
+ * @param provider ethers provider used for balances, nonces and fees
+ * @param assets Optional tokens (ERC-20 addresses), nfts ({ tokenAddress, tokenId } of ERC-721s) and
+ * eth (defaults to true) to sweep
+ * @returns The stealth address and the transactions with their signed serialization and maximum cost
+ */
+module.exports.prepareSweep = async (
+  spendingPrivateKey,
+  randomNumber,
+  destination,
+  provider,
+  assets = {}
+) => {
+  const { tokens = [], nfts = [], eth = true } = assets;
+
+  const stealthPrivateKey = KeyPair.computeStealthPrivateKey(
+    spendingPrivateKey,
+    randomNumber
+  );
+  const wallet = new Wallet(stealthPrivateKey);
+  const stealthAddress = wallet.address;
+
+  const { chainId } = await provider.getNetwork();
+  const feeData = await provider.getFeeData();
+  const latestBlock = eth ? await provider.getBlock("latest") : null;
+  const baseFeePerGas = latestBlock ? latestBlock.baseFeePerGas : null;
+  let nonce = await provider.getTransactionCount(stealthAddress, "pending");
+  let balance = await provider.getBalance(stealthAddress);
+
+  const transactions = [];
+  const addTransaction = async (details, tx, gasLimit, exact) => {
+    const { fields, pricePerGas } = getFeeFields(feeData, baseFeePerGas, exact);
+    const maxCost = gasLimit * pricePerGas;
+    const transaction = { ...tx, ...fields, chainId, nonce, gasLimit };
+    transactions.push({
+      ...details,
+      transaction,
+      signedTransaction: await wallet.signTransaction(transaction),
+      maxCost,
+    });
+    balance -= maxCost;
+    nonce++;
+  };
+
+  for (const tokenAddress of tokens) {
+    const token = new Contract(tokenAddress, tokenInterface, provider);
+    const amount = await token.balanceOf(stealthAddress);
+    if (amount === 0n) continue;
+
+    const tx = {
+      to: tokenAddress,
+      value: 0n,
+      data: tokenInterface.encodeFunctionData("transfer", [
+        destination,
+        amount,
+      ]),
+    };
+    const gasLimit = await provider.estimateGas({
+      ...tx,
+      from: stealthAddress,
+    });
+    await addTransaction({ type: "erc20", tokenAddress, amount }, tx, gasLimit);
+  }
+
+  for (const { tokenAddress, tokenId } of nfts) {
+    const tx = {
+      to: tokenAddress,
+      value: 0n,
+      data: tokenInterface.encodeFunctionData("safeTransferFrom", [
+        stealthAddress,
+        destination,
+        tokenId,
+      ]),
+    };
+    const gasLimit = await provider.estimateGas({
+      ...tx,
+      from: stealthAddress,
+    });
+    await addTransaction(
+      { type: "erc721", tokenAddress, tokenId },
+      tx,
+      gasLimit
+    );
+  }
+
+  if (balance < 0n) {
+    throw new Error(
+      `Stealth address ${stealthAddress} needs ${-balance} more wei to pay for gas`
+    );
+  }
+
+  if (eth) {
+    const code = await provider.getCode(destination);
+    const gasLimit =
+      code === "0x"
+        ? 21000n
+        : await provider.estimateGas({
+            from: stealthAddress,
+            to: destination,
+            value: 1n,
+          });
+    const { pricePerGas } = getFeeFields(feeData, baseFeePerGas, true);
+    const amount = balance - gasLimit * pricePerGas;
+    if (amount > 0n) {
+      await addTransaction(
+        { type: "eth", amount },
+        { to: destination, value: amount, data: "0x" },
+        gasLimit,
+        true
+      );
+    }
+  }
+
+  return { stealthAddress, transactions };
+};
+
+/**
+ * @notice Broadcasts the transactions of a sweep in order
+ * @param sweep Output of prepareSweep
+ * @param provider ethers provider to broadcast with
+ * @returns Transaction responses
+ */
+module.exports.broadcastSweep = async (sweep, provider) => {
+  const responses = [];
+  for (const { signedTransaction } of sweep.transactions) {
+    responses.push(await provider.broadcastTransaction(signedTransaction));
+  }
+  return responses;
+};
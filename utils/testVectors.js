@@ -0,0 +1,181 @@
+/**
+ * @notice Conformance test vectors
+ * @dev Each vector runs the whole flow from fixed inputs: the key generation signature gives the spending
+ * and viewing keys, and with a fixed random number and ephemeral private key prepareSend gives the
+ * announcement (ephemeral public key, pkx, ciphertext, view tag) and stealth address.
+ * The signatures are EIP-191 signatures by fixed test wallets, the random number and ephemeral private key
+ * are keccak256 hashes of fixed labels. None of these keys hold funds.
+ * The expected outputs were generated with this SDK, so they pin its behaviour. Interoperability is
+ * checked separately: the test suite runs verifyTestVectors on a vector generated with umbra-js.
+ * verifyTestVectors accepts vectors in the same format from other implementations, fields a vector
+ * leaves out (e.g. the viewTag, which Umbra does not have) are not checked
+ */
+const KeyPair = require("../classes/KeyPair");
+const RandomNumber = require("../classes/RandomNumber");
+const {
+  checkAnnouncement,
+  generateKeyPair,
+  prepareSend,
+} = require("./Transaction");
+const { encodeStealthMetaAddress } = require("./metaAddress");
+
+const testVectors = [
+  {
+    signature:
+      "0xe378040cec63b7b13a9ae5f8f786c0f7d25674a98aa9f2dcfac750e19a15b57102c12682fc39e1826d6a148813ba284279b53c30ec7d69c148087bf214f301651b",
+    spendingPrivateKey:
+      "0xf2f21c30f7d7aa8ba5d39777841380b6f64b70ca3d0a5f61187d10eef8f0404c",
+    spendingPublicKey:
+      "0x0423809f63500098de0d15a12d79d0bcabaf5598ba58759cdc3901536ba3650843eaa2e4e4f2c00c768c93cc8c1b20f2f2cd6390d0ca2bd67c9ce4399454a20fbf",
+    viewingPrivateKey:
+      "0x5f5cf38b4a28d328dd009fb23b2af63332a5c4ecfd18797c84ed0699cd0ffa5e",
+    viewingPublicKey:
+      "0x04beea557a193d45146daf594dfc4227d7e033a92cf060a72f83b96f703621f683b21aaf0d99caded3adbd3fede3648216e494d153ddc83ce2744c535759fe9179",
+    randomNumber:
+      "0x6dc1d6af217ed035a721a9d601846e34596a3405c8701de12d83b8992eb2d1a7",
+    ephemeralPrivateKey:
+      "0x865b1aa59e7dd705a0d6a1a5a494529db5d38abd1ba7de0262c0430f60a8badf",
+    ephemeralPublicKey:
+      "0x03e81ca4e06c20affc81c407d6bdafd4e972f24df107ff6b698d9f8a8c75cf46e1",
+    pkx: "0xe81ca4e06c20affc81c407d6bdafd4e972f24df107ff6b698d9f8a8c75cf46e1",
+    ciphertext:
+      "0x5295869b0912c607995c03fa3ef4ea3f9225eb320ad59457b324d73193780947",
+    viewTag: "0x7b",
+    stealthAddress: "0xEeCE7AF33882DE935cB9015DF2734B05CE39d90e",
+    stealthPrivateKey:
+      "0x381281ceed2bd4b10ae969dff56e57d8c8a15a7f62ce965f71d8622008afde58",
+  },
+  {
+    signature:
+      "0x443171683c6bf58042e7bf2e4ef96bf825f6f4a799612630c470c1b71e2a864730b648133959b95df59d13d3ffc3f851874fba244a08a7b2276e74d6e6caf4b41b",
+    spendingPrivateKey:
+      "0x60609d9ad23dd9dc1443c023aebe8e02fc2206a624914a49ea91ce0b64973aee",
+    spendingPublicKey:
+      "0x04316e404f78569d170fd1212ac160c1afa88d134770eea8559ab2b475e8272e3e5c1bde6d1d06f76d2291a3f1b72a78a0ebf9b484f7d6716d5b56119a55e4f5fc",
+    viewingPrivateKey:
+      "0xb848378625e7d79555a0fee3594bda7c0702c4747273bf9ba406129def414ed8",
+    viewingPublicKey:
+      "0x0463d6d63264e42bf40d215642520906cd54b37e15239d801c07f39cb75e01e95ef9d77fdbca49ecfc8de08ae245d1995dcb315b21aeae92bce28b77142a31bc89",
+    randomNumber:
+      "0x98aba92ded8ac0bc0b886f22afb76e7e84ff46dadc26ac255e5d75161c4d5187",
+    ephemeralPrivateKey:
+      "0x3db98ae675a545a66c39a4b0696e92b434326e7c66d890a23fa5dbeb3452cfa9",
+    ephemeralPublicKey:
+      "0x02506958adabcbbe9696c97e8d04e6d63585128032309a5976a89731bb58b08496",
+    pkx: "0x506958adabcbbe9696c97e8d04e6d63585128032309a5976a89731bb58b08496",
+    ciphertext:
+      "0x2d9545de73224c854395e3971097b9604e0c1a540e14e5c080165966ab681c2a",
+    viewTag: "0x18",
+    stealthAddress: "0x539Daf032413fa1953D27d838C6b6373810949b5",
+    stealthPrivateKey:
+      "0xe4ecb8ddb468a872469d02ce48eb69d002d795583a2f4b8a390ee0af2765e59f",
+  },
+  {
+    signature:
+      "0x9d6597c6c5c0ea5b327c043bae2a6f70a686ecf8d9070203c5948ce7e6c985ce6e0c06148e7fc1bb0ffcf87aace9c0d32953ff459c7209538b29045601bba3a51c",
+    spendingPrivateKey:
+      "0x642168a3b2a34f25a430343328cee1bb74a81b50b1376b28345ea177f5b0fc8b",
+    spendingPublicKey:
+      "0x0442c8ef4fae1094e1e54961c9b73d807d5d969497c9b44ff72772cb701596fa6808c801faa415baef27ebd7f596ae3d7c57bb341f82eee03a08cd3bb65f4fa2e5",
+    viewingPrivateKey:
+      "0x66ef977c20bc6eaec925eb9b002b14ae9748176045e554bf25512f9aa9851d5c",
+    viewingPublicKey:
+      "0x045b6e511afe2d302ffbbc78410ce3b3a1b1b30e23bd632f1075e79bcea8ad5776aca642c0e937b087695aac0571fd377a269a7475c3a3fb994cd3a46fb62197a9",
+    randomNumber:
+      "0xa17729e456edd8dea0b0898dff7d65da1b93ae8329300c9bb56d96b74054b2d9",
+    ephemeralPrivateKey:
+      "0xebaf17c69fafa88de66fd928536ffe11ffe45364aa6e62401268cc0b32eaf04c",
+    ephemeralPublicKey:
+      "0x037601c3dfed2b33057246c33ac8352eb02ea44ebc8622550059442868c2c070d5",
+    pkx: "0x7601c3dfed2b33057246c33ac8352eb02ea44ebc8622550059442868c2c070d5",
+    ciphertext:
+      "0x4022782461cf3a03baa1a583e33317b08910a409dedea259c68621b7544b6d0b",
+    viewTag: "0x36",
+    stealthAddress: "0xb0340c59e3b4e7C70db8989171731B1fac8dc688",
+    stealthPrivateKey:
+      "0x1e1c5ef71d194fd139437b6ee0268a1b866721f9210e7c44896c97d09e626340",
+  },
+];
+
+/**
+ * @notice Runs the checks of one vector
+ * @returns Names of the fields that did not match
+ */
+const checkVector = async (vector) => {
+  const failures = [];
+  const expect = (field, actual) => {
+    if (vector[field] === undefined) return;
+    if (String(actual).toLowerCase() !== String(vector[field]).toLowerCase()) {
+      failures.push(field);
+    }
+  };
+
+  // Signature to keys
+  const { spendingKeyPair, viewingKeyPair } = await generateKeyPair(
+    vector.signature
+  );
+  expect("spendingPrivateKey", spendingKeyPair.privateKeyHex);
+  expect("spendingPublicKey", spendingKeyPair.publicKeyHex);
+  expect("viewingPrivateKey", viewingKeyPair.privateKeyHex);
+  expect("viewingPublicKey", viewingKeyPair.publicKeyHex);
+
+  // Keys to stealth address and announcement
+  const metaAddress = encodeStealthMetaAddress(
+    vector.spendingPublicKey,
+    vector.viewingPublicKey
+  );
+  const sent = await prepareSend(metaAddress, undefined, {
+    randomNumber: new RandomNumber(32, () => vector.randomNumber),
+    ephemeralPrivateKey: vector.ephemeralPrivateKey,
+  });
+  expect("ephemeralPublicKey", sent.encrypted.ephemeralPublicKey);
+  expect("pkx", sent.pubKeyXCoordinate);
+  expect("ciphertext", sent.encrypted.ciphertext);
+  expect("viewTag", sent.viewTag);
+  expect("stealthAddress", sent.stealthKeyPair.address);
+
+  // Announcement back to the random number and ownership
+  const { isForUser, randomNumber } = await checkAnnouncement(
+    {
+      pkx: vector.pkx,
+      ciphertext: vector.ciphertext,
+      receiver: vector.stealthAddress,
+      viewTag: vector.viewTag,
+    },
+    new KeyPair(vector.viewingPrivateKey),
+    new KeyPair(vector.spendingPublicKey)
+  );
+  if (!isForUser) failures.push("isForUser");
+  expect("randomNumber", randomNumber);
+
+  // Random number to the stealth private key
+  const stealthPrivateKey = KeyPair.computeStealthPrivateKey(
+    vector.spendingPrivateKey,
+    vector.randomNumber
+  );
+  expect("stealthPrivateKey", stealthPrivateKey);
+  expect("stealthAddress", new KeyPair(stealthPrivateKey).address);
+
+  return [...new Set(failures)];
+};
+
+/**
+ * @notice Checks this implementation against conformance vectors
+ * @param vectors Array of vectors with the fields of testVectors, defaults to the shipped vectors
+ * @returns Whether every vector passed, and per vector the fields that did not match
+ */
+const verifyTestVectors = async (vectors = testVectors) => {
+  const results = [];
+  for (const [index, vector] of vectors.entries()) {
+    let failures;
+    try {
+      failures = await checkVector(vector);
+    } catch (e) {
+      failures = [`error: ${e.message}`];
+    }
+    results.push({ index, passed: failures.length === 0, failures });
+  }
+  return { passed: results.every((result) => result.passed), results };
+};
+
+module.exports = { testVectors, verifyTestVectors };
@@ -1,21 +1,13 @@
 const ethers = require("ethers");
-const {
-  isHexString,
-  getBytes,
-  resolveProperties,
-  Signature,
-  Transaction,
-  keccak256,
-  verifyMessage,
-} = ethers;
+const { isHexString, SigningKey, Transaction } = ethers;
 
 /**
  * @notice Adds leading zeroes to ensure hex strings are the expected length.
  * @dev We always expect a hex value to have the full number of characters for its size,
  * so we use this tool to ensure no errors occur due to wrong hex character lengths.
  * Specifically, we need to pad hex values during the following cases:
- *   1. It seems elliptic strips unnecessary leading zeros when pulling out x and y
- *      coordinates from public keys.
+ *   1. Converting BigInt values such as x coordinates to hex strips unnecessary leading
+ *      zeros.
  *   2. When computing a new private key from a random number, the new number (i.e. the new
  *      private key) may not necessarily require all 32-bytes as ethers.js also seems to
  *      strip leading zeroes.
@@ -32,58 +24,144 @@ module.exports.padHex = (hex, bytes = 32) => {
   return hex.padStart(bytes * 2, 0);
 };
 
+/**
+ * @notice Lengths of hex strings in characters, including the 0x prefix
+ */
 module.exports.lengths = {
-  address: 42, // 20 bytes + 0x prefix
-  txHash: 66, // 32 bytes + 0x prefix
-  privateKey: 66, // 32 bytes + 0x prefix
-  publicKey: 132, // 64 bytes + 0x04 prefix
+  address: 42, // 0x + 20 bytes
+  txHash: 66, // 0x + 32 bytes
+  privateKey: 66, // 0x + 32 bytes
+  publicKey: 132, // 0x + 04 prefix byte + 64 bytes
+  compressedPublicKey: 68, // 0x + 02 or 03 prefix byte + 32 bytes
 };
 
 /**
- * @notice Convert hex string with 0x prefix into Buffer
- * @param {String} data Hex string to convert
+ * @notice Returns an ethers provider for a provider argument
+ * @dev Accepts an ethers provider or signer, an EIP-1193 provider (e.g. window.ethereum) or an RPC URL
  */
-module.exports.hexStringToBuffer = (data) => Buffer.from(getBytes(data));
+const toEthersProvider = (provider) => {
+  if (typeof provider === "string") return new ethers.JsonRpcProvider(provider);
+  if (provider.provider && typeof provider.getTransaction !== "function") {
+    return provider.provider;
+  }
+  if (typeof provider.getTransaction === "function") return provider;
+  if (typeof provider.request === "function") {
+    return new ethers.BrowserProvider(provider);
+  }
+  throw new Error("Unsupported provider");
+};
+
+/**
+ * @notice Given a fetched transaction, return the public key of its sender
+ * @dev Rebuilds the transaction as it was signed, for every envelope: legacy (with and without EIP-155),
+ * EIP-2930 access lists, EIP-1559 fees, EIP-4844 blob fields and EIP-7702 authorization lists
+ * @param tx ethers TransactionResponse
+ * @returns Uncompressed public key as hex string with 0x04 prefix
+ */
+const recoverPublicKeyFromTransactionResponse = (tx) => {
+  // Pre EIP-155 legacy transactions sign without a chain ID
+  const isUnprotected = tx.type === 0 && !tx.signature.networkV;
+
+  const unsigned = Transaction.from({
+    type: tx.type,
+    chainId: isUnprotected ? 0 : tx.chainId,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    gasPrice: tx.type === 0 || tx.type === 1 ? tx.gasPrice : null,
+    maxFeePerGas: tx.type >= 2 ? tx.maxFeePerGas : null,
+    maxPriorityFeePerGas: tx.type >= 2 ? tx.maxPriorityFeePerGas : null,
+    to: tx.to, // this works for both regular and contract transactions
+    value: tx.value,
+    data: tx.data,
+    accessList: tx.type >= 1 ? tx.accessList : null,
+    maxFeePerBlobGas: tx.type === 3 ? tx.maxFeePerBlobGas : null,
+    blobVersionedHashes: tx.type === 3 ? tx.blobVersionedHashes : null,
+    authorizationList: tx.type === 4 ? tx.authorizationList : null,
+  });
+
+  const publicKey = SigningKey.recoverPublicKey(
+    unsigned.unsignedHash,
+    tx.signature
+  );
+  if (ethers.computeAddress(publicKey) !== ethers.getAddress(tx.from)) {
+    throw new Error(
+      `Recovered public key does not match the sender of transaction ${tx.hash}`
+    );
+  }
+  return publicKey;
+};
 
 /**
  * @notice Given a transaction hash, return the public key of the transaction's sender
  * @dev See https://github.com/ethers-io/ethers.js/issues/700 for an example of
- * recovering public key from a transaction with ethers
+ * recovering public key from a transaction with ethers. Works for all transaction types
  * @param {String} txHash Transaction hash to recover public key from
- * @param {*} provider raw web3 provider to use (not an ethers instance)
+ * @param {*} provider ethers provider, EIP-1193 provider or RPC URL
+ * @returns Uncompressed public key as hex string with 0x04 prefix
  */
 module.exports.recoverPublicKeyFromTransaction = async (txHash, provider) => {
   // Get transaction data
-  const ethersProvider = new ethers.JsonRpcProvider(provider);
-  const tx = await ethersProvider.getTransaction(txHash);
+  const tx = await toEthersProvider(provider).getTransaction(txHash);
+  if (!tx) throw new Error(`Transaction ${txHash} not found`);
+  return recoverPublicKeyFromTransactionResponse(tx);
+};
 
-  // Get original signature
-  const splitSignature = {
-    r: tx.r,
-    s: tx.s,
-    v: tx.v,
-  };
-  const signature = Signature.from(splitSignature).serialized;
+/**
+ * @notice Finds the public key of an address from a transaction it sent
+ * @dev Lets a sender pay someone who never registered stealth keys. Without transactionHashes, the block
+ * of the account's first transaction is found by binary search over its nonce, which needs a provider
+ * serving historical state (an archive node). Contracts, which never sign transactions, return undefined
+ * @param {String} address Address to find the public key of
+ * @param {*} provider ethers provider, EIP-1193 provider or RPC URL
+ * @param {Object} options Optional transactionHashes to try first (e.g. from a block explorer), and
+ * fromBlock to start the search at
+ * @returns Object with the uncompressed public key and the transaction it was recovered from, or
+ * undefined if the address has not sent a transaction
+ */
+module.exports.findPublicKeyForAddress = async (
+  address,
+  provider,
+  options = {}
+) => {
+  const ethersProvider = toEthersProvider(provider);
+  const account = ethers.getAddress(address);
 
-  // Reconstruct transaction data that was originally signed
-  const txData = {
-    chainId: tx.chainId,
-    data: tx.data,
-    gasLimit: tx.gasLimit,
-    gasPrice: tx.gasPrice,
-    nonce: tx.nonce,
-    to: tx.to, // this works for both regular and contract transactions
-    value: tx.value,
-  };
+  for (const transactionHash of options.transactionHashes || []) {
+    const tx = await ethersProvider.getTransaction(transactionHash);
+    if (tx && ethers.getAddress(tx.from) === account) {
+      return {
+        publicKey: recoverPublicKeyFromTransactionResponse(tx),
+        transactionHash,
+      };
+    }
+  }
+
+  // EIP-7702 delegated accounts have code but still sign transactions
+  const code = await ethersProvider.getCode(account);
+  if (code !== "0x" && !code.startsWith("0xef0100")) return undefined;
 
-  // Properly format it to get the correct message
-  const resolvedTx = await resolveProperties(txData);
-  const rawTx = Transaction.from(resolvedTx).serialized;
-  const msgHash = keccak256(rawTx);
-  const msgBytes = getBytes(msgHash);
+  const latest = await ethersProvider.getBlockNumber();
+  if ((await ethersProvider.getTransactionCount(account, latest)) === 0) {
+    return undefined;
+  }
 
-  // Recover sender's public key and address
-  const publicKey = verifyMessage(msgBytes, signature);
+  // Find the first block after which the account's nonce is non-zero
+  let low = options.fromBlock || 0;
+  let high = latest;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const nonce = await ethersProvider.getTransactionCount(account, middle);
+    if (nonce > 0) high = middle;
+    else low = middle + 1;
+  }
 
-  return publicKey;
+  const block = await ethersProvider.getBlock(low, true);
+  const tx = block.prefetchedTransactions.find(
+    (transaction) => ethers.getAddress(transaction.from) === account
+  );
+  if (!tx) return undefined;
+  return {
+    publicKey: recoverPublicKeyFromTransactionResponse(tx),
+    transactionHash: tx.hash,
+  };
 };